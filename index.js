@@ -7,17 +7,39 @@
 'use strict';
 
 const { Logger, syslog } = require('./src/logger');
+const LogFormatter = require('./src/log/logFormatter');
+const TextFormatter = require('./src/log/textFormatter');
+const JsonFormatter = require('./src/log/jsonFormatter');
+const LogTransport = require('./src/log/logTransport');
+const ConsoleTransport = require('./src/log/consoleTransport');
+const FileTransport = require('./src/log/fileTransport');
+const RotatingFileTransport = require('./src/log/rotatingFileTransport');
+const StreamTransport = require('./src/log/streamTransport');
+const MemoryTransport = require('./src/log/memoryTransport');
+const DiagnosticsTransport = require('./src/log/diagnosticsTransport');
+const Diagnostics = require('./src/diagnostics');
 const GfError = require('./src/gfError');
+const GfErrors = require('./src/gfErrors');
+const ErrorCatalogue = require('./src/errorCatalogue');
+const CodeFrame = require('./src/codeFrame');
 const GfPath = require('./src/gfPath');
 const GfString = require('./src/gfString');
 const GfRegex = require('./src/gfRegex');
 const Merge = require('./src/merge');
 const FileCache = require('./src/fileCache');
+const CacheGroup = require('./src/cacheGroup');
+const ArtefactCache = require('./src/artefactCache');
 const FsUtils = require('./src/fsUtils');
+const Archive = require('./src/archive');
+const GlobMatcher = require('./src/globMatcher');
+const RealFs = require('./src/vfs/realFs');
+const MemoryFs = require('./src/vfs/memoryFs');
 const MD5 = require('./src/md5');
 const EventManager = require('./src/eventManager');
+const Watcher = require('./src/watcher');
 const Benchmarks = require('./src/benchmarks');
 const duration = require('./src/duration');
+const promisePool = require('./src/promisePool');
 
 const ResourceProcessor = require('./src/gf/resourceProcessor');
 const AssetProcessor = require('./src/gf/assetProcessor');
@@ -36,17 +58,39 @@ const ComplexImage = require('./src/html/complexImage');
 module.exports = {
     Logger,
     syslog,
+    LogFormatter,
+    TextFormatter,
+    JsonFormatter,
+    LogTransport,
+    ConsoleTransport,
+    FileTransport,
+    RotatingFileTransport,
+    StreamTransport,
+    MemoryTransport,
+    DiagnosticsTransport,
+    Diagnostics,
     GfError,
+    ...GfErrors,
+    ErrorCatalogue,
+    CodeFrame,
     GfPath,
     GfString,
     GfRegex,
     Merge,
     FileCache,
+    CacheGroup,
+    ArtefactCache,
     FsUtils,
+    Archive,
+    GlobMatcher,
+    RealFs,
+    MemoryFs,
     MD5,
     EventManager,
+    Watcher,
     Benchmarks,
     duration,
+    promisePool,
 
     ResourceProcessor,
     AssetProcessor,
@@ -0,0 +1,343 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const zlib = require('zlib');
+const { GfArchiveError } = require('./gfErrors');
+
+/**
+ * Archive builder.
+ * 
+ * Builds zip, tar and tar.gz archives in memory from a list of entries, in pure JS. Entries are
+ * {name, data} for files and {name, dir: true} for directories, with '/'-separated names.
+ * 
+ * Archives are reproducible: entries go in the order given, every entry gets the same timestamp,
+ * and modes, owners and the like are fixed.
+ */
+class Archive
+{
+    /**
+     * Default timestamp (1980-01-01T00:00:00Z, the earliest a zip can hold).
+     * @member  {Date}
+     */
+    static defaultMtime = new Date(Date.UTC(1980, 0, 1));
+
+    /**
+     * Formats we can build.
+     * @member  {string[]}
+     */
+    static formats = ['zip', 'tar', 'tar.gz'];
+
+    /**
+     * CRC-32 table.
+     * @member  {Int32Array|null}
+     */
+    static crcTable = null;
+
+    /**
+     * Build an archive.
+     * 
+     * @param   {object[]}  entries             Entries.
+     * @param   {string}    format              'zip', 'tar' or 'tar.gz'.
+     * @param   {Date}      [mtime=null]        Timestamp for every entry (default Archive.defaultMtime).
+     * 
+     * @return  {Buffer}
+     * @static
+     * 
+     * @throws  {GfArchiveError}                If the format is unknown.
+     */
+    static build(entries, format, mtime = null)
+    {
+        mtime = mtime || Archive.defaultMtime;
+        if ('zip' === format) {
+            return Archive.zip(entries, mtime);
+        } else if ('tar' === format) {
+            return Archive.tar(entries, mtime);
+        } else if ('tar.gz' === format) {
+            return zlib.gzipSync(Archive.tar(entries, mtime), {level: 9});
+        }
+        throw new GfArchiveError(`Unknown archive format '${format}'.`, {formats: Archive.formats});
+    }
+
+    /**
+     * Work out the format from a file name's extension.
+     * 
+     * @param   {string}    name    File name.
+     * 
+     * @return  {string|null}       'zip', 'tar', 'tar.gz' or null if the extension isn't one of ours.
+     * @static
+     */
+    static formatFromName(name)
+    {
+        let lower = name.toLowerCase();
+        if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) {
+            return 'tar.gz';
+        } else if (lower.endsWith('.tar')) {
+            return 'tar';
+        } else if (lower.endsWith('.zip')) {
+            return 'zip';
+        }
+        return null;
+    }
+
+    /**
+     * Calculate a CRC-32.
+     * 
+     * @param   {Buffer}    buf     Data.
+     * 
+     * @return  {number}
+     * @static
+     */
+    static crc32(buf)
+    {
+        if (null === Archive.crcTable) {
+            Archive.crcTable = new Int32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                Archive.crcTable[n] = c;
+            }
+        }
+
+        let crc = -1;
+        for (let i = 0; i < buf.length; i++) {
+            crc = Archive.crcTable[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ -1) >>> 0;
+    }
+
+    /**
+     * Build a zip archive.
+     * 
+     * Files are deflated unless that makes them bigger, in which case they're stored.
+     * 
+     * @param   {object[]}  entries     Entries.
+     * @param   {Date}      mtime       Timestamp.
+     * 
+     * @return  {Buffer}
+     * @static
+     * 
+     * @throws  {GfArchiveError}        If it's too big for a (non-zip64) zip.
+     */
+    static zip(entries, mtime)
+    {
+        if (entries.length > 0xFFFF) {
+            throw new GfArchiveError(`Too many entries for a zip archive (${entries.length}).`);
+        }
+
+        let dosTime = (mtime.getUTCHours() << 11) | (mtime.getUTCMinutes() << 5) | Math.floor(mtime.getUTCSeconds() / 2);
+        let dosDate = ((Math.max(mtime.getUTCFullYear(), 1980) - 1980) << 9) | ((mtime.getUTCMonth() + 1) << 5) | mtime.getUTCDate();
+
+        let parts = [];
+        let central = [];
+        let offset = 0;
+
+        for (let entry of entries) {
+            let name = Buffer.from((entry.dir) ? entry.name.replace(/\/?$/, '/') : entry.name, 'utf8');
+            let data = (entry.dir) ? Buffer.alloc(0) : entry.data;
+            let crc = Archive.crc32(data);
+            let method = 0;
+            let stored = data;
+
+            if (data.length > 0) {
+                let deflated = zlib.deflateRawSync(data, {level: 9});
+                if (deflated.length < data.length) {
+                    method = 8;
+                    stored = deflated;
+                }
+            }
+
+            if (offset + 30 + name.length + stored.length > 0xFFFFFFFF) {
+                throw new GfArchiveError(`Archive too big for a zip (at ${entry.name}).`);
+            }
+
+            let local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034b50, 0);
+            local.writeUInt16LE(20, 4);
+            local.writeUInt16LE(0x0800, 6);
+            local.writeUInt16LE(method, 8);
+            local.writeUInt16LE(dosTime, 10);
+            local.writeUInt16LE(dosDate, 12);
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(stored.length, 18);
+            local.writeUInt32LE(data.length, 22);
+            local.writeUInt16LE(name.length, 26);
+            local.writeUInt16LE(0, 28);
+
+            let cen = Buffer.alloc(46);
+            cen.writeUInt32LE(0x02014b50, 0);
+            cen.writeUInt16LE(0x0314, 4);
+            cen.writeUInt16LE(20, 6);
+            cen.writeUInt16LE(0x0800, 8);
+            cen.writeUInt16LE(method, 10);
+            cen.writeUInt16LE(dosTime, 12);
+            cen.writeUInt16LE(dosDate, 14);
+            cen.writeUInt32LE(crc, 16);
+            cen.writeUInt32LE(stored.length, 20);
+            cen.writeUInt32LE(data.length, 24);
+            cen.writeUInt16LE(name.length, 28);
+            cen.writeUInt32LE((((entry.dir) ? 0o40755 : 0o100644) * 0x10000 + ((entry.dir) ? 0x10 : 0)) >>> 0, 38);
+            cen.writeUInt32LE(offset, 42);
+
+            parts.push(local, name, stored);
+            central.push(cen, name);
+            offset += local.length + name.length + stored.length;
+        }
+
+        let centralBuf = Buffer.concat(central);
+
+        let end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(entries.length, 8);
+        end.writeUInt16LE(entries.length, 10);
+        end.writeUInt32LE(centralBuf.length, 12);
+        end.writeUInt32LE(offset, 16);
+
+        return Buffer.concat(parts.concat([centralBuf, end]));
+    }
+
+    /**
+     * Build a tar (ustar) archive.
+     * 
+     * Names too long for ustar get a pax extended header.
+     * 
+     * @param   {object[]}  entries     Entries.
+     * @param   {Date}      mtime       Timestamp.
+     * 
+     * @return  {Buffer}
+     * @static
+     */
+    static tar(entries, mtime)
+    {
+        let secs = Math.floor(mtime.getTime() / 1000);
+        let parts = [];
+
+        for (let entry of entries) {
+            let name = (entry.dir) ? entry.name.replace(/\/?$/, '/') : entry.name;
+            let data = (entry.dir) ? Buffer.alloc(0) : entry.data;
+            let split = Archive.tarSplitName(name);
+
+            if (null === split) {
+                let record = Archive.paxRecord('path', name);
+                parts.push(Archive.tarHeader('PaxHeader/' + name.substring(0, 80).replace(/\/$/, ''), '',
+                    record.length, 'x', 0o644, secs));
+                parts.push(Archive.tarPad(record));
+                split = {prefix: '', name: Buffer.from(name, 'utf8').subarray(0, 100).toString('utf8')};
+            }
+
+            parts.push(Archive.tarHeader(split.name, split.prefix, data.length, (entry.dir) ? '5' : '0',
+                (entry.dir) ? 0o755 : 0o644, secs));
+            if (data.length > 0) {
+                parts.push(Archive.tarPad(data));
+            }
+        }
+
+        parts.push(Buffer.alloc(1024));
+        return Buffer.concat(parts);
+    }
+
+    /**
+     * Split a name into ustar's prefix and name fields.
+     * 
+     * @param   {string}    name    Name.
+     * 
+     * @return  {object|null}       {prefix, name} or null if it won't fit.
+     * @static
+     */
+    static tarSplitName(name)
+    {
+        if (Buffer.byteLength(name) <= 100) {
+            return {prefix: '', name: name};
+        }
+        for (let i = name.indexOf('/'); -1 !== i && i < name.length - 1; i = name.indexOf('/', i + 1)) {
+            let prefix = name.substring(0, i);
+            let rest = name.substring(i + 1);
+            if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+                return {prefix: prefix, name: rest};
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Make a pax record.
+     * 
+     * @param   {string}    key     Key.
+     * @param   {string}    value   Value.
+     * 
+     * @return  {Buffer}
+     * @static
+     */
+    static paxRecord(key, value)
+    {
+        // The length includes itself, so keep going until it's stable.
+        let body = ` ${key}=${value}\n`;
+        let len = Buffer.byteLength(body);
+        let total = len + String(len).length;
+        while (String(total).length + len !== total) {
+            total = String(total).length + len;
+        }
+        return Buffer.from(total + body, 'utf8');
+    }
+
+    /**
+     * Make a tar header.
+     * 
+     * @param   {string}    name        Name.
+     * @param   {string}    prefix      Prefix.
+     * @param   {number}    size        Data size.
+     * @param   {string}    type        Type flag.
+     * @param   {number}    mode        Mode.
+     * @param   {number}    secs        Timestamp in seconds.
+     * 
+     * @return  {Buffer}
+     * @static
+     */
+    static tarHeader(name, prefix, size, type, mode, secs)
+    {
+        let header = Buffer.alloc(512);
+        let octal = (n, width) => n.toString(8).padStart(width - 1, '0') + "\0";
+
+        header.write(name, 0, 100, 'utf8');
+        header.write(octal(mode, 8), 100, 'ascii');
+        header.write(octal(0, 8), 108, 'ascii');
+        header.write(octal(0, 8), 116, 'ascii');
+        header.write(octal(size, 12), 124, 'ascii');
+        header.write(octal(secs, 12), 136, 'ascii');
+        header.write('        ', 148, 'ascii');
+        header.write(type, 156, 'ascii');
+        header.write("ustar\0", 257, 'ascii');
+        header.write('00', 263, 'ascii');
+        header.write(prefix, 345, 155, 'utf8');
+
+        let sum = 0;
+        for (let i = 0; i < 512; i++) {
+            sum += header[i];
+        }
+        header.write(sum.toString(8).padStart(6, '0') + "\0 ", 148, 'ascii');
+
+        return header;
+    }
+
+    /**
+     * Pad data to a whole number of tar blocks.
+     * 
+     * @param   {Buffer}    data    Data.
+     * 
+     * @return  {Buffer}
+     * @static
+     */
+    static tarPad(data)
+    {
+        let rem = data.length % 512;
+        return (0 === rem) ? data : Buffer.concat([data, Buffer.alloc(512 - rem)]);
+    }
+}
+
+module.exports = Archive;
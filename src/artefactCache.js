@@ -0,0 +1,536 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+const FsUtils = require('./fsUtils');
+const { GfArtefactCacheError } = require('./gfErrors');
+const { syslog } = require('./logger');
+const log = syslog.child({component: 'ArtefactCache'});
+
+/**
+ * Artefact cache.
+ * 
+ * A content-addressed store for expensive build results (rendered shortcodes, image metadata,
+ * parsed front matter ...). Keys are hashes of the inputs (see ArtefactCache.key()). Each value is
+ * stored in its own blob file and an index file records sizes and access times so the cache can be
+ * held under a size cap, evicting the least recently used artefacts first.
+ * 
+ * Values are Buffers, strings or anything JSON can serialise.
+ */
+class ArtefactCache
+{
+    /**
+     * Cache directory.
+     * @member  {string}
+     */
+    cacheDir = null;
+
+    /**
+     * Maximum total size of the blobs in bytes (0 = unlimited).
+     * @member  {number}
+     */
+    maxSize = 0;
+
+    /**
+     * Index (key => {size, type, stored, accessed}), in least recently used order.
+     * @member  {Map}
+     */
+    index = null;
+
+    /**
+     * Total size of the blobs.
+     * @member  {number}
+     */
+    totalSize = 0;
+
+    /**
+     * File system given to the constructor (null for FsUtils.fs).
+     * @member  {RealFs|MemoryFs|null}
+     */
+    fsys = null;
+
+    /**
+     * Computations in progress (key => Promise).
+     * @member  {Map}
+     */
+    pending = null;
+
+    /**
+     * Index format name.
+     * @member  {string}
+     */
+    static formatName = 'greenfedora-artefactcache';
+
+    /**
+     * Index format version.
+     * @member  {number}
+     */
+    static formatVersion = 1;
+
+    /**
+     * Constructor.
+     * 
+     * @param   {string}        cacheDir        Directory to keep the cache in.
+     * @param   {number}        [maxSize=0]     Maximum total size in bytes (0 = unlimited).
+     * @param   {object}        [options={}]    Options: fs (file system, default FsUtils.fs).
+     * 
+     * @return  {ArtefactCache}
+     */
+    constructor(cacheDir, maxSize = 0, options = {})
+    {
+        this.cacheDir = cacheDir;
+        this.maxSize = maxSize;
+        this.fsys = options.fs || null;
+        this.index = new Map();
+        this.pending = new Map();
+    }
+
+    /**
+     * Make a key from some inputs.
+     * 
+     * Pass the input content and whatever options affect the result. Buffers are hashed as raw
+     * bytes, everything else as JSON.
+     * 
+     * @param   {...any}    parts       Inputs.
+     * 
+     * @return  {string}                Hex key.
+     * @static
+     */
+    static key(...parts)
+    {
+        let hash = crypto.createHash('sha256');
+        for (let part of parts) {
+            if (Buffer.isBuffer(part)) {
+                hash.update('b' + part.length + ':');
+                hash.update(part);
+            } else {
+                let str = (undefined === part) ? 'undefined' : JSON.stringify(part);
+                hash.update('j' + Buffer.byteLength(str) + ':' + str);
+            }
+        }
+        return hash.digest('hex');
+    }
+
+    /**
+     * See if a key is valid (the hex SHA-256 that key() makes).
+     * 
+     * @param   {string}    key         Key.
+     * 
+     * @return  {boolean}
+     * @static
+     */
+    static isValidKey(key)
+    {
+        return 'string' === typeof key && /^[0-9a-f]{64}$/.test(key);
+    }
+
+    /**
+     * Get the file system we use.
+     * 
+     * @return  {RealFs|MemoryFs}
+     */
+    get fs()
+    {
+        return this.fsys || FsUtils.fs;
+    }
+
+    /**
+     * Get the path of the index file.
+     * 
+     * @return  {string}
+     */
+    get indexPath()
+    {
+        return path.join(this.cacheDir, 'index.json');
+    }
+
+    /**
+     * Get the path of a blob.
+     * 
+     * @param   {string}    key         Key.
+     * 
+     * @return  {string}
+     * 
+     * @throws  {GfArtefactCacheError}  If the key isn't valid.
+     */
+    blobPath(key)
+    {
+        if (!ArtefactCache.isValidKey(key)) {
+            throw new GfArtefactCacheError(`Invalid artefact key '${key}', keys must come from ArtefactCache.key().`);
+        }
+        return path.join(this.cacheDir, 'blobs', key.substring(0, 2), key);
+    }
+
+    /**
+     * Load the index from disk.
+     * 
+     * An unreadable or incompatible index is ignored (with a warning), which just means the work is
+     * redone. The index is then reconciled with the blobs on disk (see reconcile()).
+     * 
+     * @return  {ArtefactCache}
+     */
+    load()
+    {
+        this.index = new Map();
+        this.totalSize = 0;
+
+        if (!this.fs.existsSync(this.indexPath)) {
+            log.debug(`No artefact cache index found at ${this.indexPath}.`);
+            this.reconcile();
+            return this;
+        }
+
+        try {
+            let saved = JSON.parse(this.fs.readFileSync(this.indexPath, 'utf8'));
+            if (ArtefactCache.formatName !== saved.format || ArtefactCache.formatVersion !== saved.version) {
+                throw new GfArtefactCacheError(`Unsupported index format.`);
+            }
+            for (let [key, entry] of saved.entries) {
+                this.index.set(key, entry);
+                this.totalSize += entry.size;
+            }
+        } catch (err) {
+            log.warning(`Artefact cache index at ${this.indexPath} could not be loaded, starting empty: ${err.message}`);
+            this.index = new Map();
+            this.totalSize = 0;
+        }
+
+        this.reconcile();
+        return this;
+    }
+
+    /**
+     * Reconcile the index with the blobs on disk.
+     * 
+     * Index entries whose blobs have gone are dropped, and blobs the index doesn't know about (left
+     * by a run that never saved its index) are deleted so they can't push the cache over its cap
+     * unnoticed.
+     * 
+     * @return  {object}                {dropped, orphans}: the keys dropped and the orphan files deleted.
+     */
+    reconcile()
+    {
+        let found = new Set();
+        let orphans = [];
+        let blobsDir = path.join(this.cacheDir, 'blobs');
+
+        if (this.fs.existsSync(blobsDir)) {
+            for (let sub of this.fs.readdirSync(blobsDir)) {
+                let subDir = path.join(blobsDir, sub);
+                if (!this.fs.statSync(subDir).isDirectory()) {
+                    continue;
+                }
+                for (let name of this.fs.readdirSync(subDir)) {
+                    if (this.index.has(name) && name.startsWith(sub)) {
+                        found.add(name);
+                    } else {
+                        log.debug(`Deleting orphan artefact blob ${path.join(sub, name)}.`);
+                        this.fs.rmSync(path.join(subDir, name), {recursive: true, force: true});
+                        orphans.push(path.join(sub, name));
+                    }
+                }
+            }
+        }
+
+        let dropped = [];
+        for (let key of Array.from(this.index.keys())) {
+            if (!found.has(key)) {
+                this.forget(key);
+                dropped.push(key);
+            }
+        }
+
+        if (dropped.length > 0 || orphans.length > 0) {
+            log.debug(`Artefact cache reconciled: ${dropped.length} index entries dropped, ${orphans.length} orphan blobs deleted.`);
+        }
+
+        return {dropped: dropped, orphans: orphans};
+    }
+
+    /**
+     * Save the index to disk.
+     * 
+     * @return  {void}
+     * 
+     * @throws  {GfArtefactCacheError}      If it can't be saved.
+     */
+    save()
+    {
+        let content = JSON.stringify({
+            format: ArtefactCache.formatName,
+            version: ArtefactCache.formatVersion,
+            entries: Array.from(this.index.entries())
+        });
+
+        try {
+            FsUtils.writeFile(this.indexPath, content, 'utf8', this.fs);
+        } catch (err) {
+            throw new GfArtefactCacheError(`Could not save artefact cache index to ${this.indexPath}.`, null, err);
+        }
+    }
+
+    /**
+     * See if we have an artefact.
+     * 
+     * @param   {string}    key         Key.
+     * 
+     * @return  {boolean}
+     */
+    has(key)
+    {
+        if (!this.index.has(key)) {
+            return false;
+        }
+        if (!this.fs.existsSync(this.blobPath(key))) {
+            log.debug(`Blob for artefact '${key}' has gone, dropping it.`);
+            this.forget(key);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get an artefact.
+     * 
+     * @param   {string}    key         Key.
+     * 
+     * @return  {any}                   The value or undefined if we don't have it.
+     */
+    get(key)
+    {
+        if (!this.has(key)) {
+            return undefined;
+        }
+
+        let entry = this.index.get(key);
+        let value;
+        try {
+            value = ArtefactCache.decode(entry.type, this.fs.readFileSync(this.blobPath(key)));
+        } catch (err) {
+            log.warning(`Artefact '${key}' could not be read, dropping it: ${err.message}`);
+            this.del(key);
+            return undefined;
+        }
+
+        entry.accessed = Date.now();
+        this.index.delete(key);
+        this.index.set(key, entry);
+
+        return value;
+    }
+
+    /**
+     * Encode a value for storage.
+     * 
+     * @param   {string}    key         Key (for the error message).
+     * @param   {any}       value       Value (Buffer, string or JSON-serialisable).
+     * 
+     * @return  {object}                {type, raw}.
+     * @static
+     * 
+     * @throws  {GfArtefactCacheError}  If it can't be serialised (undefined, functions and the like).
+     */
+    static encode(key, value)
+    {
+        if (Buffer.isBuffer(value)) {
+            return {type: 'buffer', raw: value};
+        } else if ('string' === typeof value) {
+            return {type: 'string', raw: Buffer.from(value, 'utf8')};
+        }
+        let json = JSON.stringify(value);
+        if (undefined === json) {
+            throw new GfArtefactCacheError(`Artefact '${key}' cannot be serialised.`);
+        }
+        return {type: 'json', raw: Buffer.from(json, 'utf8')};
+    }
+
+    /**
+     * Decode a stored value.
+     * 
+     * Always returns a fresh value, so callers can't change what's cached.
+     * 
+     * @param   {string}    type        Type ('buffer', 'string' or 'json').
+     * @param   {Buffer}    raw         Raw content.
+     * 
+     * @return  {any}
+     * @static
+     */
+    static decode(type, raw)
+    {
+        if ('buffer' === type) {
+            return Buffer.from(raw);
+        } else if ('string' === type) {
+            return raw.toString('utf8');
+        }
+        return JSON.parse(raw.toString('utf8'));
+    }
+
+    /**
+     * Store an artefact.
+     * 
+     * @param   {string}    key         Key.
+     * @param   {any}       value       Value (Buffer, string or JSON-serialisable, so not undefined).
+     * 
+     * @return  {ArtefactCache}
+     * 
+     * @throws  {GfArtefactCacheError}  If the key is invalid or it can't be stored.
+     */
+    set(key, value)
+    {
+        return this.store(key, ArtefactCache.encode(key, value));
+    }
+
+    /**
+     * Store an encoded artefact.
+     * 
+     * @param   {string}    key         Key.
+     * @param   {object}    encoded     {type, raw} (see encode()).
+     * 
+     * @return  {ArtefactCache}
+     * 
+     * @throws  {GfArtefactCacheError}  If the key is invalid or it can't be stored.
+     */
+    store(key, encoded)
+    {
+        let blobPath = this.blobPath(key);
+
+        try {
+            FsUtils.writeFile(blobPath, encoded.raw, 'utf8', this.fs);
+        } catch (err) {
+            throw new GfArtefactCacheError(`Could not store artefact '${key}'.`, null, err);
+        }
+
+        this.forget(key);
+        let now = Date.now();
+        this.index.set(key, {size: encoded.raw.length, type: encoded.type, stored: now, accessed: now});
+        this.totalSize += encoded.raw.length;
+
+        this.evict();
+        return this;
+    }
+
+    /**
+     * Get an artefact, computing and storing it if we don't have it.
+     * 
+     * Concurrent calls for the same key share the one computation. Whether it was a hit or not,
+     * the value returned is always a fresh copy decoded from the stored form, so it behaves the
+     * same either way. The computed value must be storable (see set()): returning undefined
+     * rejects with a GfArtefactCacheError.
+     * 
+     * @param   {string}    key         Key.
+     * @param   {function}  fn          Computes the value (may be async).
+     * 
+     * @return  {Promise<any>}
+     */
+    async getOrCompute(key, fn)
+    {
+        // A blob that has gone or is corrupt comes back undefined, so recompute it.
+        let cached = this.get(key);
+        if (undefined !== cached) {
+            log.debug(`Artefact cache hit for '${key}'.`);
+            return cached;
+        }
+
+        if (!this.pending.has(key)) {
+            log.debug(`Artefact cache miss for '${key}', computing.`);
+            // This throws for an invalid key, before we do any work.
+            this.blobPath(key);
+
+            let promise = (async () => {
+                try {
+                    let encoded = ArtefactCache.encode(key, await fn());
+                    this.store(key, encoded);
+                    return encoded;
+                } finally {
+                    this.pending.delete(key);
+                }
+            })();
+
+            this.pending.set(key, promise);
+        }
+
+        let encoded = await this.pending.get(key);
+        return ArtefactCache.decode(encoded.type, encoded.raw);
+    }
+
+    /**
+     * Delete an artefact.
+     * 
+     * @param   {string}    key         Key.
+     * 
+     * @return  {ArtefactCache}
+     */
+    del(key)
+    {
+        this.forget(key);
+        this.fs.rmSync(this.blobPath(key), {force: true});
+        return this;
+    }
+
+    /**
+     * Remove an artefact from the index.
+     * 
+     * @param   {string}    key         Key.
+     * 
+     * @return  {void}
+     */
+    forget(key)
+    {
+        if (this.index.has(key)) {
+            this.totalSize -= this.index.get(key).size;
+            this.index.delete(key);
+        }
+    }
+
+    /**
+     * Evict the least recently used artefacts until we're under the size cap.
+     * 
+     * @return  {string[]}              Evicted keys.
+     */
+    evict()
+    {
+        let evicted = [];
+        if (this.maxSize > 0) {
+            for (let key of Array.from(this.index.keys())) {
+                if (this.totalSize <= this.maxSize) {
+                    break;
+                }
+                log.debug(`Evicting artefact '${key}'.`);
+                this.del(key);
+                evicted.push(key);
+            }
+        }
+        return evicted;
+    }
+
+    /**
+     * Clear the whole cache.
+     * 
+     * @return  {ArtefactCache}
+     */
+    clear()
+    {
+        this.fs.rmSync(path.join(this.cacheDir, 'blobs'), {recursive: true, force: true});
+        this.index = new Map();
+        this.totalSize = 0;
+        return this;
+    }
+
+    /**
+     * Get the number of artefacts.
+     * 
+     * @return  {number}
+     */
+    get size()
+    {
+        return this.index.size;
+    }
+}
+
+module.exports = ArtefactCache;
@@ -8,8 +8,8 @@
 
 const { syslog } = require('./logger');
 const { performance, PerformanceObserver } = require('perf_hooks');
-const debug = require('debug')('GreenFedora-Util:Benchmarks');
-const debugb = require('debug')('Benchmark');
+const log = syslog.child({component: 'Benchmarks'});
+const logb = syslog.child({component: 'Benchmark'});
 
 /**
  * Benchmarks support.
@@ -50,7 +50,7 @@ class Benchmarks
         // Create the performance observer.
         this.po = new PerformanceObserver((items, observer) => {
             items.getEntries().forEach((entry) => {
-                debugb(`Benchmarks: "${entry.name}" start: ${entry.startTime} duration: ${entry.duration}`);
+                logb.debug(`Benchmarks: "${entry.name}" start: ${entry.startTime} duration: ${entry.duration}`);
             });
             //observer.disconnect();
         });
@@ -83,7 +83,7 @@ class Benchmarks
     markStart(tag, desc)
     {
         if (this.tags[tag]) {
-            debug(`Benchmark tag '${tag}' already exists, will be overwritten.`);
+            log.debug(`Benchmark tag '${tag}' already exists, will be overwritten.`);
         }
         this.tags[tag] = desc;
         performance.mark(`${tag}-start`);
@@ -0,0 +1,625 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const CacheGroupData = require('./cacheGroupData');
+const GfPath = require('./gfPath');
+const { GfFileCacheError } = require('./gfErrors');
+const promisePool = require('./promisePool');
+const { syslog } = require('./logger');
+const log = syslog.child({component: 'FileCache'});
+
+/**
+ * Cache group.
+ * 
+ * A named set of entries within a FileCache, with its own check type (see FileCache for those),
+ * an optional time-to-live and an optional size limit (least recently used entries are evicted).
+ */
+class CacheGroup
+{
+    /**
+     * Name.
+     * @member  {string}
+     */
+    name = null;
+
+    /**
+     * The cache we belong to.
+     * @member  {FileCache}
+     */
+    cache = null;
+
+    /**
+     * Check type.
+     * @member  {string}
+     */
+    checkType = 'stats';
+
+    /**
+     * Hash algorithm (for 'hash' and 'hybrid' checks).
+     * @member  {string}
+     */
+    algorithm = 'sha256';
+
+    /**
+     * Time-to-live in milliseconds (0 = forever).
+     * @member  {number}
+     */
+    ttl = 0;
+
+    /**
+     * Maximum number of entries (0 = unlimited).
+     * @member  {number}
+     */
+    maxEntries = 0;
+
+    /**
+     * Are names file paths to normalise?
+     * @member  {boolean}
+     */
+    paths = true;
+
+    /**
+     * Entries (name => {value, stored, accessed}), in least recently used order.
+     * @member  {Map}
+     */
+    entries = null;
+
+    /**
+     * Names checked during this run.
+     * @member  {Set}
+     */
+    touched = null;
+
+    /**
+     * Live Map view of the values (see the data getter).
+     * @member  {CacheGroupData|null}
+     */
+    dataView = null;
+
+    /**
+     * Constructor.
+     * 
+     * @param   {string}        name            Group name.
+     * @param   {FileCache}     cache           The cache we belong to.
+     * @param   {object}        [options={}]    Options: checkType, algorithm, ttl, maxEntries, paths.
+     * 
+     * @return  {CacheGroup}
+     */
+    constructor(name, cache, options = {})
+    {
+        this.name = name;
+        this.cache = cache;
+        this.entries = new Map();
+        this.touched = new Set();
+        this.configure(options);
+    }
+
+    /**
+     * Configure the group.
+     * 
+     * If the check type or algorithm changes, existing entries are useless so we drop them.
+     * 
+     * @param   {object}    options         Options: checkType, algorithm, ttl, maxEntries, paths.
+     * 
+     * @return  {CacheGroup}
+     */
+    configure(options)
+    {
+        let changed = (options.checkType && options.checkType !== this.checkType) || 
+            (options.algorithm && options.algorithm !== this.algorithm);
+
+        for (let opt of ['checkType', 'algorithm', 'ttl', 'maxEntries', 'paths']) {
+            if (undefined !== options[opt]) {
+                this[opt] = options[opt];
+            }
+        }
+
+        if (changed && this.entries.size > 0) {
+            log.debug(`Check type or algorithm of cache group '${this.name}' changed, clearing it.`);
+            this.clear();
+        }
+
+        this.evict();
+        return this;
+    }
+
+    /**
+     * Normalise a name.
+     * 
+     * @param   {string}    name        Name to normalise.
+     * 
+     * @return  {string}
+     */
+    normalise(name)
+    {
+        return (this.paths) ? this.cache.normalise(name) : name;
+    }
+
+    /**
+     * See if an entry has expired.
+     * 
+     * @param   {object}    entry       Entry.
+     * 
+     * @return  {boolean}
+     */
+    isExpired(entry)
+    {
+        return (this.ttl > 0 && Date.now() - entry.stored > this.ttl);
+    }
+
+    /**
+     * Evict entries over the size limit, least recently used first.
+     * 
+     * @return  {void}
+     */
+    evict()
+    {
+        if (this.maxEntries > 0) {
+            for (let key of this.entries.keys()) {
+                if (this.entries.size <= this.maxEntries) {
+                    break;
+                }
+                log.debug(`Evicting '${key}' from cache group '${this.name}'.`);
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Get the file path for a (normalised) name.
+     * 
+     * @param   {string}    name    Name.
+     * 
+     * @return  {string}
+     * 
+     * @throws  {GfPathError}       If the name would escape the site path.
+     */
+    filePath(name)
+    {
+        return GfPath.urlToFs(name, this.cache.sitePath, false);
+    }
+
+    /**
+     * Run a cache check.
+     * 
+     * @param   {string}    name    Name to run it against.
+     * @param   {boolean}   autoup  Auto update?
+     * 
+     * @return  {boolean}           True if file has been modified, else false.
+     */
+    check(name, autoup = true)
+    {
+        name = this.normalise(name);
+        let filePath = this.filePath(name);
+        let current = this.cache.fs.statSync(filePath);
+        this.touched.add(name);
+
+        let hash = null;
+        if (this.needsHash(name, current)) {
+            hash = this.cache.constructor.hashFile(filePath, this.hashAlgorithm(), this.cache.fs);
+        }
+
+        return this.evaluate(name, current, hash, autoup);
+    }
+
+    /**
+     * Check a batch of files concurrently.
+     * 
+     * The paths are taken to be the complete current set of files, so anything in the cache that
+     * isn't among them, or no longer exists, is reported as deleted (and, with autoup, removed from
+     * the cache). Paths that are in neither are ignored, and equivalent paths are only checked once.
+     * 
+     * @param   {string[]}  paths           Names to check.
+     * @param   {object}    [options={}]    Options: concurrency (16), autoup (true).
+     * 
+     * @return  {Promise<object>}           {changed, unchanged, new, deleted}, each a Set of names.
+     */
+    async checkMany(paths, options = {})
+    {
+        let concurrency = (undefined === options.concurrency) ? 16 : options.concurrency;
+        let autoup = (undefined === options.autoup) ? true : options.autoup;
+
+        let ret = {changed: new Set(), unchanged: new Set(), new: new Set(), deleted: new Set()};
+
+        let names = new Set(paths.map(p => this.normalise(p)));
+
+        for (let name of Array.from(this.entries.keys())) {
+            if (!names.has(name) && this.has(name)) {
+                log.debug(`File '${name}' is no longer present.`);
+                ret.deleted.add(name);
+                if (autoup) {
+                    this.del(name);
+                }
+            }
+        }
+
+        await promisePool(Array.from(names), concurrency, async (name) => {
+            let filePath = this.filePath(name);
+
+            let current;
+            try {
+                current = await this.cache.fs.promises.stat(filePath);
+            } catch (err) {
+                if ('ENOENT' !== err.code) {
+                    throw new GfFileCacheError(`Could not check file '${name}'.`, null, err);
+                }
+                if (this.has(name)) {
+                    log.debug(`File '${name}' has been deleted.`);
+                    ret.deleted.add(name);
+                    if (autoup) {
+                        this.del(name);
+                    }
+                }
+                return;
+            }
+
+            this.touched.add(name);
+            let isNew = !this.has(name);
+
+            let hash = null;
+            if (this.needsHash(name, current)) {
+                hash = await this.cache.constructor.hashFileAsync(filePath, this.hashAlgorithm(), this.cache.fs);
+            }
+
+            if (isNew) {
+                this.evaluate(name, current, hash, autoup);
+                ret.new.add(name);
+            } else if (this.evaluate(name, current, hash, autoup)) {
+                ret.changed.add(name);
+            } else {
+                ret.unchanged.add(name);
+            }
+        });
+
+        return ret;
+    }
+
+    /**
+     * Get the algorithm we hash with.
+     * 
+     * @return  {string}
+     */
+    hashAlgorithm()
+    {
+        return ('md5' === this.checkType) ? 'md5' : this.algorithm;
+    }
+
+    /**
+     * See if a check needs the file's hash.
+     * 
+     * @param   {string}        name        Normalised name.
+     * @param   {fs.Stats}      current     Current file stats.
+     * 
+     * @return  {boolean}
+     * 
+     * @throws  {GfFileCacheError}          If the check type is invalid.
+     */
+    needsHash(name, current)
+    {
+        if ('stats' === this.checkType || 'statsdata' === this.checkType) {
+            return false;
+        } else if ('hash' === this.checkType || 'md5' === this.checkType) {
+            return true;
+        } else if ('hybrid' === this.checkType) {
+            let cached = this.get(name);
+            return !(null !== cached && current.mtimeMs === cached.mtimeMs && current.size === cached.size && 
+                this.algorithm === cached.algorithm);
+        }
+        throw new GfFileCacheError(`Invalid cache check type ${this.checkType}.`);
+    }
+
+    /**
+     * Evaluate a check, given the file's stats and (if needsHash() said so) its hash.
+     * 
+     * @param   {string}        name        Normalised name.
+     * @param   {fs.Stats}      current     Current file stats.
+     * @param   {string|null}   hash        Current hash.
+     * @param   {boolean}       autoup      Auto update?
+     * 
+     * @return  {boolean}                   True if file has been modified, else false.
+     * 
+     * @throws  {GfFileCacheError}          If the check type is invalid.
+     */
+    evaluate(name, current, hash, autoup = true)
+    {
+        if ('stats' === this.checkType) {
+
+            if (!this.has(name)) {
+                log.debug(`File '${name}' new to cache with values, mtime: ${current.mtimeMs}, size: ${current.size}.`);
+                if (autoup) {
+                    this.add(name, {mtimeMs: current.mtimeMs, size: current.size});
+                }
+                return true;
+            }
+
+            let cached = this.get(name);
+
+            if (current.mtimeMs > cached.mtimeMs || current.size !== cached.size) {
+                log.debug(`File '${name}' has been modified, updating cache, mtime: ${current.mtimeMs}, size: ${current.size}.`);
+                if (autoup) {
+                    this.set(name, {mtimeMs: current.mtimeMs, size: current.size});
+                }
+                return true;
+            }
+
+        } else if ('statsdata' === this.checkType) {
+
+            if (!this.has(name)) {
+                log.debug(`File '${name}' new to cache with values, mtime: ${current.mtimeMs}, size: ${current.size}.`);
+                return true;
+            }
+
+            let cached = this.get(name);
+
+            if (current.mtimeMs > cached.mtimeMs || current.size !== cached.size) {
+                log.debug(`File '${name}' has been modified, updating cache, mtime: ${current.mtimeMs}, size: ${current.size}.`);
+                return true;
+            }
+
+        } else if ('hash' === this.checkType || 'md5' === this.checkType) {
+
+            let algorithm = this.hashAlgorithm();
+
+            if (!this.has(name)) {
+                log.debug(`File '${name}' new to cache with values, size: ${current.size}, ${algorithm}: ${hash}.`);
+                if (autoup) {
+                    this.add(name, {hash: hash, algorithm: algorithm, size: current.size});
+                }
+                return true;
+            }
+
+            let cached = this.get(name);
+
+            if (hash !== cached.hash || algorithm !== cached.algorithm || current.size !== cached.size) {
+                log.debug(`File '${name}' has been modified, updating cache, size: ${current.size}, ${algorithm}: ${hash}.`);
+                if (autoup) {
+                    this.set(name, {hash: hash, algorithm: algorithm, size: current.size});
+                }
+                return true;
+            }
+
+        } else if ('hybrid' === this.checkType) {
+
+            if (null === hash) {
+                log.debug(`File ${name} is cached and its stats have not changed.`);
+                return false;
+            }
+
+            let cached = this.get(name);
+            let entry = {mtimeMs: current.mtimeMs, size: current.size, hash: hash, algorithm: this.algorithm};
+
+            if (null === cached) {
+                log.debug(`File '${name}' new to cache with values, mtime: ${current.mtimeMs}, size: ${current.size}, ${this.algorithm}: ${hash}.`);
+                if (autoup) {
+                    this.add(name, entry);
+                }
+                return true;
+            }
+
+            if (autoup) {
+                this.set(name, entry);
+            }
+
+            if (hash !== cached.hash || this.algorithm !== cached.algorithm) {
+                log.debug(`File '${name}' has been modified, updating cache, mtime: ${current.mtimeMs}, size: ${current.size}, ${this.algorithm}: ${hash}.`);
+                return true;
+            }
+
+            log.debug(`File '${name}' stats changed but content has not, updating cache.`);
+         
+        } else {
+            throw new GfFileCacheError(`Invalid cache check type ${this.checkType}.`);          
+        }
+
+        log.debug(`File ${name} is cached but has not been modified.`);
+
+        return false;
+    }
+
+    /**
+     * See if we have an item.
+     * 
+     * @param   {any}       name    Name of item.
+     * 
+     * @return  {boolean}
+     */
+    has(name)
+    {
+        name = this.normalise(name);
+        let entry = this.entries.get(name);
+        if (undefined === entry) {
+            return false;
+        }
+        if (this.isExpired(entry)) {
+            log.debug(`Cache entry '${name}' in group '${this.name}' has expired.`);
+            this.entries.delete(name);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get some data for a given name.
+     * 
+     * @param   {string}    name        Name of item to get.
+     * 
+     * @return  {any}                   Item data or null.
+     */
+    get(name)
+    {
+        name = this.normalise(name);
+        if (this.has(name)) {
+            let entry = this.entries.get(name);
+            entry.accessed = Date.now();
+            this.entries.delete(name);
+            this.entries.set(name, entry);
+            return entry.value;
+        }
+        return null;
+    }
+
+    /**
+     * Set some data.
+     * 
+     * @param   {string}    name        Name of item to set.
+     * @param   {any}       val         Data value.
+     * 
+     * @return  {CacheGroup}
+     */
+    set(name, val)
+    {
+        name = this.normalise(name);
+        let now = Date.now();
+        this.entries.delete(name);
+        this.entries.set(name, {value: val, stored: now, accessed: now});
+        this.evict();
+        return this;
+    }
+
+    /**
+     * Add some data.
+     * 
+     * @param   {string}    name        Name of item to add.
+     * @param   {any}       val         Data value.
+     * 
+     * @return  {CacheGroup}
+     * 
+     * @throws  {GfFileCacheError}      On errors.
+     */
+    add(name, val)
+    {
+        name = this.normalise(name);
+        if (this.has(name)) {
+            throw new GfFileCacheError(`We already have a cache item called '${name}' in group '${this.name}'. Maybe use 'set' instead?`);
+        }
+        return this.set(name, val);
+    }
+
+    /**
+     * Delete some data.
+     * 
+     * @param   {string}    name        Name of item to delete.
+     * 
+     * @return  {CacheGroup}
+     */
+    del(name)
+    {
+        this.entries.delete(this.normalise(name));
+        return this;
+    }
+
+    /**
+     * Clear (invalidate) the whole group.
+     * 
+     * @return  {CacheGroup}
+     */
+    clear()
+    {
+        this.entries.clear();
+        this.touched.clear();
+        return this;
+    }
+
+    /**
+     * Prune stale entries.
+     * 
+     * @param   {boolean}   [missing=true]      Remove entries whose files no longer exist?
+     * @param   {boolean}   [untouched=true]    Remove entries not checked during this run?
+     * 
+     * @return  {object[]}                      What was removed: [{group, name, reason}].
+     */
+    prune(missing = true, untouched = true)
+    {
+        let removed = [];
+
+        // If nothing in the group was checked this run, whatever uses it didn't run, so we can't
+        // tell what's stale.
+        untouched = untouched && this.paths && this.touched.size > 0;
+        missing = missing && this.paths;
+
+        for (let [name, entry] of Array.from(this.entries)) {
+            let reason = null;
+            if (this.isExpired(entry)) {
+                reason = 'expired';
+            } else if (missing && !this.cache.fs.existsSync(this.filePath(name))) {
+                reason = 'missing';
+            } else if (untouched && !this.touched.has(name)) {
+                reason = 'untouched';
+            }
+
+            if (null !== reason) {
+                log.debug(`Pruning '${name}' from cache group '${this.name}' (${reason}).`);
+                this.entries.delete(name);
+                removed.push({group: this.name, name: name, reason: reason});
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Get a live Map view of the values (name => value).
+     * 
+     * @return  {CacheGroupData}
+     */
+    get data()
+    {
+        if (null === this.dataView) {
+            this.dataView = new CacheGroupData(this);
+        }
+        return this.dataView;
+    }
+
+    /**
+     * Get the names of the entries.
+     * 
+     * @return  {string[]}
+     */
+    keys()
+    {
+        return Array.from(this.entries.keys());
+    }
+
+    /**
+     * Get the number of entries.
+     * 
+     * @return  {number}
+     */
+    get size()
+    {
+        return this.entries.size;
+    }
+
+    /**
+     * Get the group as a plain object for saving.
+     * 
+     * Expired entries are not saved.
+     * 
+     * @return  {object}
+     */
+    serialise()
+    {
+        let entries = [];
+        for (let [name, entry] of this.entries) {
+            if (!this.isExpired(entry)) {
+                entries.push([name, entry]);
+            }
+        }
+
+        return {
+            checkType: this.checkType,
+            algorithm: this.algorithm,
+            ttl: this.ttl,
+            maxEntries: this.maxEntries,
+            paths: this.paths,
+            entries: entries
+        };
+    }
+}
+
+module.exports = CacheGroup;
@@ -0,0 +1,173 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+/**
+ * Cache group data.
+ * 
+ * A live Map view of a CacheGroup's values (name => value), so code written against the old
+ * FileCache.data Map keeps working: reads, set() and delete() all go straight to the group.
+ * Expired entries are invisible, and reading doesn't count as an access for LRU purposes.
+ */
+class CacheGroupData extends Map
+{
+    /**
+     * The group we're a view of.
+     * @member  {CacheGroup}
+     */
+    group = null;
+
+    /**
+     * Constructor.
+     * 
+     * @param   {CacheGroup}    group       The group.
+     * 
+     * @return  {CacheGroupData}
+     */
+    constructor(group)
+    {
+        super();
+        this.group = group;
+    }
+
+    /**
+     * See if we have a name.
+     * 
+     * @param   {any}       name    Name.
+     * 
+     * @return  {boolean}
+     */
+    has(name)
+    {
+        return this.group.has(name);
+    }
+
+    /**
+     * Get a value.
+     * 
+     * @param   {any}       name    Name.
+     * 
+     * @return  {any}               Value or undefined.
+     */
+    get(name)
+    {
+        return (this.group.has(name)) ? this.group.entries.get(this.group.normalise(name)).value : undefined;
+    }
+
+    /**
+     * Set a value.
+     * 
+     * @param   {any}       name    Name.
+     * @param   {any}       val     Value.
+     * 
+     * @return  {CacheGroupData}
+     */
+    set(name, val)
+    {
+        this.group.set(name, val);
+        return this;
+    }
+
+    /**
+     * Delete a name.
+     * 
+     * @param   {any}       name    Name.
+     * 
+     * @return  {boolean}           True if it was there.
+     */
+    delete(name)
+    {
+        let had = this.group.has(name);
+        this.group.del(name);
+        return had;
+    }
+
+    /**
+     * Clear everything.
+     * 
+     * @return  {void}
+     */
+    clear()
+    {
+        this.group.clear();
+    }
+
+    /**
+     * Get the number of (unexpired) entries.
+     * 
+     * @return  {number}
+     */
+    get size()
+    {
+        return this.group.keys().filter(name => this.group.has(name)).length;
+    }
+
+    /**
+     * Iterate over [name, value] pairs.
+     * 
+     * @return  {Generator<any[]>}
+     */
+    *entries()
+    {
+        for (let name of this.group.keys()) {
+            if (this.group.has(name)) {
+                yield [name, this.group.entries.get(name).value];
+            }
+        }
+    }
+
+    /**
+     * Iterate over names.
+     * 
+     * @return  {Generator<any>}
+     */
+    *keys()
+    {
+        for (let [name] of this.entries()) {
+            yield name;
+        }
+    }
+
+    /**
+     * Iterate over values.
+     * 
+     * @return  {Generator<any>}
+     */
+    *values()
+    {
+        for (let [, val] of this.entries()) {
+            yield val;
+        }
+    }
+
+    /**
+     * Call a function for each entry.
+     * 
+     * @param   {function}  fn          Called with (value, name, map).
+     * @param   {any}       [thisArg]   'this' for the function.
+     * 
+     * @return  {void}
+     */
+    forEach(fn, thisArg = undefined)
+    {
+        for (let [name, val] of this.entries()) {
+            fn.call(thisArg, val, name, this);
+        }
+    }
+
+    /**
+     * Iterate over [name, value] pairs.
+     * 
+     * @return  {Generator<any[]>}
+     */
+    [Symbol.iterator]()
+    {
+        return this.entries();
+    }
+}
+
+module.exports = CacheGroupData;
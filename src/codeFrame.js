@@ -0,0 +1,83 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+/**
+ * Code frames.
+ * 
+ * Renders the lines around a location in some source text with a marker, like this:
+ * 
+ *     9 | Some text.
+ *  > 10 | {% image "x.jpg", "Alt" %}
+ *       |    ^
+ *    11 | More text.
+ */
+class CodeFrame
+{
+    /**
+     * Render a code frame.
+     * 
+     * @param   {string}        source              Source text.
+     * @param   {number}        line                Line number (1-based).
+     * @param   {number|null}   [column=null]       Column number (1-based), or null for no caret.
+     * @param   {object}        [opts={}]           Options: linesAbove (2), linesBelow (3), maxWidth (120).
+     * 
+     * @return  {string}                            The frame, or an empty string if the line is out of range.
+     * @static
+     */
+    static render(source, line, column = null, opts = {})
+    {
+        let linesAbove = (undefined !== opts.linesAbove) ? opts.linesAbove : 2;
+        let linesBelow = (undefined !== opts.linesBelow) ? opts.linesBelow : 3;
+        let maxWidth = opts.maxWidth || 120;
+
+        let lines = String(source).split(/\r\n|\r|\n/);
+
+        if (!line || line < 1 || line > lines.length) {
+            return '';
+        }
+
+        let start = Math.max(1, line - linesAbove);
+        let end = Math.min(lines.length, line + linesBelow);
+        let gutter = String(end).length;
+
+        let ret = [];
+
+        for (let num = start; num <= end; num++) {
+            let text = lines[num - 1].replace(/\t/g, '    ');
+            if (text.length > maxWidth) {
+                text = text.substring(0, maxWidth) + '...';
+            }
+            let marker = (num === line) ? '>' : ' ';
+            ret.push(`${marker} ${String(num).padStart(gutter)} | ${text}`.trimEnd());
+
+            if (num === line && column && column > 0) {
+                let before = lines[num - 1].substring(0, column - 1).replace(/\t/g, '    ');
+                ret.push(`  ${' '.repeat(gutter)} | ${' '.repeat(Math.min(before.length, maxWidth))}^`);
+            }
+        }
+
+        return ret.join("\n");
+    }
+
+    /**
+     * Convert a character offset into a line and column.
+     * 
+     * @param   {string}    source      Source text.
+     * @param   {number}    offset      Character offset (0-based).
+     * 
+     * @return  {object}                {line, column}, both 1-based.
+     * @static
+     */
+    static locate(source, offset)
+    {
+        let before = String(source).substring(0, offset).split(/\r\n|\r|\n/);
+        return {line: before.length, column: before[before.length - 1].length + 1};
+    }
+}
+
+module.exports = CodeFrame;
@@ -0,0 +1,360 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const GfError = require('./gfError');
+const { GfDiagnosticsError } = require('./gfErrors');
+
+/**
+ * Build diagnostics collector.
+ * 
+ * Gathers the warnings and errors raised during a build and renders a grouped report at the end.
+ * Entries look like this:
+ * 
+ * {
+ *      severity:   'error'|'warning'|'info',
+ *      message:    Message,
+ *      file:       Source file (or null),
+ *      line:       Line number (or null),
+ *      column:     Column number (or null),
+ *      module:     Originating module (or null),
+ *      code:       Error code (or null)
+ * }
+ */
+class Diagnostics
+{
+    /**
+     * Static instance.
+     * @member {Diagnostics}
+     */
+    static instance = null;
+
+    /**
+     * Valid severities.
+     * @member {string[]}
+     */
+    static severities = ['error', 'warning', 'info'];
+
+    /**
+     * Entries.
+     * @member {object[]}
+     */
+    entries = [];
+
+    /**
+     * Get the instance.
+     * 
+     * @return  {Diagnostics}
+     */
+    static getInstance()
+    {
+        if (null === Diagnostics.instance) {
+            Diagnostics.instance = new Diagnostics();
+        }
+        return Diagnostics.instance;
+    }
+
+    /**
+     * Add an entry.
+     * 
+     * @param   {object}    entry       Entry (see class description). Only the message is required.
+     * 
+     * @return  {Diagnostics}
+     * 
+     * @throws  {GfDiagnosticsError}    If the severity is invalid.
+     */
+    add(entry)
+    {
+        let item = {
+            severity: entry.severity || 'error',
+            message: String(entry.message),
+            file: entry.file || null,
+            line: entry.line || null,
+            column: entry.column || null,
+            module: entry.module || null,
+            code: entry.code || null
+        };
+
+        if (!Diagnostics.severities.includes(item.severity)) {
+            throw new GfDiagnosticsError(`Invalid diagnostic severity '${item.severity}'.`);
+        }
+
+        this.entries.push(item);
+        return this;
+    }
+
+    /**
+     * Add an error entry.
+     * 
+     * @param   {string}    message         Message.
+     * @param   {object}    [extra={}]      Extra fields: file, line, column, module, code.
+     * 
+     * @return  {Diagnostics}
+     */
+    error(message, extra = {})
+    {
+        return this.add({...extra, message: message, severity: 'error'});
+    }
+
+    /**
+     * Add a warning entry.
+     * 
+     * @param   {string}    message         Message.
+     * @param   {object}    [extra={}]      Extra fields: file, line, column, module, code.
+     * 
+     * @return  {Diagnostics}
+     */
+    warning(message, extra = {})
+    {
+        return this.add({...extra, message: message, severity: 'warning'});
+    }
+
+    /**
+     * Add an entry from an exception.
+     * 
+     * The location is taken from the first error in the chain that has one.
+     * 
+     * @param   {Error}         ex                  Exception.
+     * @param   {string}        [severity='error']  Severity.
+     * @param   {object}        [extra={}]          Extra fields (these are used if the error doesn't have them).
+     * 
+     * @return  {Diagnostics}
+     */
+    addError(ex, severity = 'error', extra = {})
+    {
+        let entry = {...extra, message: `${ex.name}: ${ex.message}`, severity: severity};
+
+        let err = ex;
+        while (err) {
+            if (err.file) {
+                entry.file = err.file;
+                entry.line = err.line;
+                entry.column = err.column;
+                break;
+            }
+            err = GfError.getCause(err);
+        }
+
+        if (ex.code && 'string' === typeof(ex.code)) {
+            entry.code = ex.code;
+        }
+
+        return this.add(entry);
+    }
+
+    /**
+     * Clear all entries.
+     * 
+     * @return  {Diagnostics}
+     */
+    clear()
+    {
+        this.entries = [];
+        return this;
+    }
+
+    /**
+     * Count entries.
+     * 
+     * @param   {string|null}   [severity=null]     Severity to count, or null for all.
+     * 
+     * @return  {number}
+     */
+    count(severity = null)
+    {
+        if (null === severity) {
+            return this.entries.length;
+        }
+        return this.entries.filter(e => e.severity === severity).length;
+    }
+
+    /**
+     * Do we have errors?
+     * 
+     * @return  {boolean}
+     */
+    hasErrors()
+    {
+        return this.count('error') > 0;
+    }
+
+    /**
+     * Group the entries by file.
+     * 
+     * Entries without a file are grouped under their module, or under '(general)'. Within a group,
+     * entries are sorted by line and column.
+     * 
+     * @return  {Map}                   Map of group name => entries.
+     */
+    groups()
+    {
+        let ret = new Map();
+
+        for (let entry of this.entries) {
+            let key = entry.file || entry.module || '(general)';
+            if (!ret.has(key)) {
+                ret.set(key, []);
+            }
+            ret.get(key).push(entry);
+        }
+
+        for (let items of ret.values()) {
+            items.sort((a, b) => ((a.line || 0) - (b.line || 0)) || ((a.column || 0) - (b.column || 0)));
+        }
+
+        return ret;
+    }
+
+    /**
+     * Get a summary line.
+     * 
+     * @return  {string}
+     */
+    summary()
+    {
+        let e = this.count('error');
+        let w = this.count('warning');
+        return `${e} error${(1 === e) ? '' : 's'}, ${w} warning${(1 === w) ? '' : 's'}`;
+    }
+
+    /**
+     * Render the report.
+     * 
+     * @param   {'text'|'json'|'junit'}     [format='text']     Format.
+     * 
+     * @return  {string}
+     * 
+     * @throws  {GfDiagnosticsError}                            If the format is invalid.
+     */
+    render(format = 'text')
+    {
+        if ('text' === format) {
+            return this.renderText();
+        } else if ('json' === format) {
+            return this.renderJson();
+        } else if ('junit' === format) {
+            return this.renderJunit();
+        }
+        throw new GfDiagnosticsError(`Invalid diagnostics report format '${format}'.`);
+    }
+
+    /**
+     * Render the report as text.
+     * 
+     * @return  {string}
+     */
+    renderText()
+    {
+        let lines = [`Build diagnostics: ${this.summary()}`];
+
+        for (let [name, items] of this.groups()) {
+            lines.push('');
+            lines.push(name);
+            for (let item of items) {
+                let loc = (item.line) ? `${item.line}:${item.column || 0}` : '-';
+                let line = `  ${item.severity.padEnd(7)} ${loc.padEnd(8)} ${item.message}`;
+                if (item.module && item.module !== name) {
+                    line += ` [${item.module}]`;
+                }
+                lines.push(line);
+            }
+        }
+
+        return lines.join("\n");
+    }
+
+    /**
+     * Render the report as JSON.
+     * 
+     * @return  {string}
+     */
+    renderJson()
+    {
+        let groups = [];
+        for (let [name, items] of this.groups()) {
+            groups.push({name: name, entries: items});
+        }
+
+        return JSON.stringify({
+            errors: this.count('error'),
+            warnings: this.count('warning'),
+            groups: groups
+        }, null, 2);
+    }
+
+    /**
+     * Render the report as JUnit-style XML.
+     * 
+     * Each group is a test suite and each entry a test case. Errors are reported as <error> and
+     * warnings as <failure>.
+     * 
+     * @return  {string}
+     */
+    renderJunit()
+    {
+        let x = Diagnostics.xmlEscape;
+        let suites = [];
+
+        for (let [name, items] of this.groups()) {
+            let errors = items.filter(e => 'error' === e.severity).length;
+            let failures = items.filter(e => 'warning' === e.severity).length;
+
+            let cases = items.map(item => {
+                let loc = (item.line) ? `${name}:${item.line}:${item.column || 0}` : name;
+                let caseName = (item.code) ? `${item.code} at ${loc}` : loc;
+                let tag = ('error' === item.severity) ? 'error' : (('warning' === item.severity) ? 'failure' : null);
+                let ret = `    <testcase classname="${x(item.module || 'build')}" name="${x(caseName)}">`;
+                if (tag) {
+                    ret += `\n      <${tag} type="${item.severity}" message="${x(item.message)}">${x(item.message)}</${tag}>\n    `;
+                }
+                return ret + '</testcase>';
+            });
+
+            suites.push(`  <testsuite name="${x(name)}" tests="${items.length}" errors="${errors}" failures="${failures}">\n` +
+                cases.join("\n") + "\n  </testsuite>");
+        }
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<testsuites name="Build diagnostics" tests="${this.count()}" errors="${this.count('error')}" failures="${this.count('warning')}">\n` +
+            suites.join("\n") + ((suites.length > 0) ? "\n" : '') + '</testsuites>\n';
+    }
+
+    /**
+     * Write the report to a file.
+     * 
+     * @param   {string}                    filePath            Where to write it.
+     * @param   {'text'|'json'|'junit'}     [format='text']     Format.
+     * 
+     * @return  {void}
+     */
+    writeReport(filePath, format = 'text')
+    {
+        fs.mkdirSync(path.dirname(filePath), {recursive: true});
+        fs.writeFileSync(filePath, this.render(format), 'utf8');
+    }
+
+    /**
+     * Escape a string for XML.
+     * 
+     * @param   {string}    s       String to escape.
+     * 
+     * @return  {string}
+     */
+    static xmlEscape(s)
+    {
+        return String(s)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+module.exports = Diagnostics;
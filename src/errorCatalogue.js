@@ -0,0 +1,291 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const { homepage } = require('../package.json');
+
+/**
+ * Error catalogue.
+ * 
+ * Maps error codes to help text. Entries look like this:
+ * 
+ * {
+ *      title:          Short title,
+ *      explanation:    What went wrong,
+ *      fix:            Suggested fix,
+ *      docs:           Docs anchor (relative to ErrorCatalogue.docsBase)
+ * }
+ */
+class ErrorCatalogue
+{
+    /**
+     * Docs base URL.
+     * @member {string}
+     */
+    static docsBase = `${homepage}/errors`;
+
+    /**
+     * Entries.
+     * @member {Map}
+     */
+    static entries = new Map();
+
+    /**
+     * Register an entry.
+     * 
+     * @param   {string}    code        Error code.
+     * @param   {object}    entry       Entry: title, explanation, fix, docs.
+     * 
+     * @return  {void}
+     * @static
+     */
+    static register(code, entry)
+    {
+        ErrorCatalogue.entries.set(code, {code: code, ...entry});
+    }
+
+    /**
+     * See if we have an entry.
+     * 
+     * @param   {string}    code        Error code.
+     * 
+     * @return  {boolean}
+     * @static
+     */
+    static has(code)
+    {
+        return ErrorCatalogue.entries.has(code);
+    }
+
+    /**
+     * Get an entry, with the full docs URL.
+     * 
+     * @param   {string}    code        Error code.
+     * 
+     * @return  {object|null}
+     * @static
+     */
+    static get(code)
+    {
+        if (!ErrorCatalogue.has(code)) {
+            return null;
+        }
+        let entry = {...ErrorCatalogue.entries.get(code)};
+        if (entry.docs) {
+            entry.docs = ErrorCatalogue.docsBase + entry.docs;
+        }
+        return entry;
+    }
+
+    /**
+     * Find the most specific entry for an error.
+     * 
+     * We look down the cause chain for the first error that has a catalogued code other than the
+     * generic 'GF_ERROR', falling back to that if nothing better turns up.
+     * 
+     * @param   {Error}     err         Error.
+     * 
+     * @return  {object|null}
+     * @static
+     */
+    static forError(err)
+    {
+        let generic = null;
+
+        while (err) {
+            if (err.code && ErrorCatalogue.has(err.code)) {
+                if ('GF_ERROR' !== err.code) {
+                    return ErrorCatalogue.get(err.code);
+                }
+                generic = generic || ErrorCatalogue.get(err.code);
+            }
+            err = err.originalError || err.cause || null;
+        }
+
+        return generic;
+    }
+
+    /**
+     * Get the hint text for an entry.
+     * 
+     * @param   {object}    entry       Entry (as returned by get()).
+     * 
+     * @return  {string}
+     * @static
+     */
+    static hint(entry)
+    {
+        let lines = [`Hint (${entry.code}): ${entry.title}`];
+        if (entry.explanation) {
+            lines.push(`  ${entry.explanation}`);
+        }
+        if (entry.fix) {
+            lines.push(`  Suggested fix: ${entry.fix}`);
+        }
+        if (entry.docs) {
+            lines.push(`  See: ${entry.docs}`);
+        }
+        return lines.join("\n");
+    }
+}
+
+/*
+ * The built-in entries.
+ */
+
+ErrorCatalogue.register('GF_ERROR', {
+    title: "General error",
+    explanation: "Something went wrong that isn't covered by a more specific error.",
+    fix: "Check the message and any previous exceptions for details.",
+    docs: '#gf-error'
+});
+
+ErrorCatalogue.register('GF_LOGGER', {
+    title: "Logger configuration error",
+    explanation: "The logger was given a level, formatter or transport it doesn't recognise.",
+    fix: "Use one of the levels in Logger._levels, a formatter of 'text' or 'json' and a known transport type.",
+    docs: '#gf-logger'
+});
+
+ErrorCatalogue.register('GF_LOG_FORMATTER', {
+    title: "Log formatter error",
+    explanation: "A log formatter failed or doesn't implement 'format'.",
+    fix: "Make sure custom formatters extend LogFormatter and override 'format'.",
+    docs: '#gf-log-formatter'
+});
+
+ErrorCatalogue.register('GF_LOG_TRANSPORT', {
+    title: "Log transport error",
+    explanation: "A log transport failed or doesn't implement 'output'.",
+    fix: "Make sure custom transports extend LogTransport and override 'output' (or 'log').",
+    docs: '#gf-log-transport'
+});
+
+ErrorCatalogue.register('GF_DIAGNOSTICS', {
+    title: "Diagnostics error",
+    explanation: "A diagnostic entry or report request was invalid.",
+    fix: "Use a severity of 'error', 'warning' or 'info' and a report format of 'text', 'json' or 'junit'.",
+    docs: '#gf-diagnostics'
+});
+
+ErrorCatalogue.register('GF_PATH', {
+    title: "Path error",
+    explanation: "A path could not be converted or joined, usually because no base path was available or the path would escape its base (for example with '..').",
+    fix: "Call GfPath.setBasePath() at startup or pass a base path explicitly, and make sure paths stay inside their base.",
+    docs: '#gf-path'
+});
+
+ErrorCatalogue.register('GF_STRING', {
+    title: "String error",
+    explanation: "A string utility was passed something it can't handle.",
+    fix: "Check that the value being passed is a string.",
+    docs: '#gf-string'
+});
+
+ErrorCatalogue.register('GF_REGEX', {
+    title: "Regex error",
+    explanation: "A regex utility was passed something other than a string.",
+    fix: "Check the file and extension filter options are arrays of strings.",
+    docs: '#gf-regex'
+});
+
+ErrorCatalogue.register('GF_FILE_CACHE', {
+    title: "File cache error",
+    explanation: "The file cache could not check, add or store an entry.",
+    fix: "Check the cache check type is valid and use 'set' rather than 'add' for existing entries. " + 
+        "Deleting the cache file forces a full rebuild.",
+    docs: '#gf-file-cache'
+});
+
+ErrorCatalogue.register('GF_ARTEFACT_CACHE', {
+    title: "Artefact cache error",
+    explanation: "A cached build artefact could not be computed, read or stored, or its key was invalid.",
+    fix: "Check the cache directory is writable, that keys come from ArtefactCache.key() and that computed " + 
+        "values can be serialised to JSON (or are Buffers). Deleting the cache directory just means the work is redone.",
+    docs: '#gf-artefact-cache'
+});
+
+ErrorCatalogue.register('GF_FS_UTILS', {
+    title: "File system error",
+    explanation: "A file or directory could not be copied or deleted.",
+    fix: "Check the paths exist and that you have permission to read and write them.",
+    docs: '#gf-fs-utils'
+});
+
+ErrorCatalogue.register('GF_GLOB_MATCHER', {
+    title: "Glob matcher error",
+    explanation: "An ignore file could not be read.",
+    fix: "Check the ignore file path (it is resolved relative to the directory being walked) and its permissions.",
+    docs: '#gf-glob-matcher'
+});
+
+ErrorCatalogue.register('GF_ARCHIVE', {
+    title: "Archive error",
+    explanation: "An archive could not be built.",
+    fix: "Use one of the formats 'zip', 'tar' or 'tar.gz'. Zip archives are limited to 65535 entries and 4GB, " + 
+        "so use 'tar.gz' for anything bigger.",
+    docs: '#gf-archive'
+});
+
+ErrorCatalogue.register('GF_EVENT_MANAGER', {
+    title: "Event error",
+    explanation: "An event name was invalid or an event handler threw an exception.",
+    fix: "Make sure the event is one of the manager's valid events and check the previous exception.",
+    docs: '#gf-event-manager'
+});
+
+ErrorCatalogue.register('GF_WATCHER', {
+    title: "Watcher error",
+    explanation: "A directory could not be watched for changes.",
+    fix: "Check the directory exists and is readable. On Linux you may also need to raise " + 
+        "fs.inotify.max_user_watches for large sites.",
+    docs: '#gf-watcher'
+});
+
+ErrorCatalogue.register('GF_HTML_ATTRIBS', {
+    title: "HTML attribute error",
+    explanation: "An HTML attribute was added twice, appended to when boolean or given an invalid name or value.",
+    fix: "Use 'set' to overwrite attributes and don't pass arrays as attribute values.",
+    docs: '#gf-html-attribs'
+});
+
+ErrorCatalogue.register('GF_HTML_GENERATOR', {
+    title: "HTML generator error",
+    explanation: "An HTML element was given an invalid attribute.",
+    fix: "Use 'setAttrib' to overwrite attributes and make sure appended attributes have a value.",
+    docs: '#gf-html-generator'
+});
+
+ErrorCatalogue.register('GF_COMPLEX_IMAGE', {
+    title: "Image rendering error",
+    explanation: "An image could not be rendered, usually because its source or image set was invalid.",
+    fix: "Check the image path is a string and that the image set contains one of the configured base types.",
+    docs: '#gf-complex-image'
+});
+
+ErrorCatalogue.register('GF_NUNJUCKS_SHORTCODE', {
+    title: "Shortcode error",
+    explanation: "A Nunjucks shortcode failed to render.",
+    fix: "Check the shortcode's arguments in the template and the previous exception.",
+    docs: '#gf-nunjucks-shortcode'
+});
+
+ErrorCatalogue.register('GF_PREPROCESSOR', {
+    title: "Preprocessor error",
+    explanation: "A template preprocessor failed.",
+    fix: "Check the content at the location shown and the previous exception.",
+    docs: '#gf-preprocessor'
+});
+
+ErrorCatalogue.register('GF_POSTPROCESSOR', {
+    title: "Postprocessor error",
+    explanation: "A template postprocessor failed.",
+    fix: "Check the content at the location shown and the previous exception.",
+    docs: '#gf-postprocessor'
+});
+
+module.exports = ErrorCatalogue;
@@ -6,12 +6,9 @@
  */
 'use strict';
 
-const GfError = require("./gfError");
-const debug = require("debug")("GreenFedora-Util:EventManager");
-
-
-// Local error.
-class GfEventManagerError extends GfError {};
+const { GfEventManagerError } = require('./gfErrors');
+const { syslog } = require('./logger');
+const log = syslog.child({component: 'EventManager'});
 
 /**
  * Event manager class.
@@ -107,17 +104,17 @@ class EventManager
      */
     async emit(event, ...args)
     {
-        debug(`Called emit for event '${event}'.`);
+        log.debug(`Called emit for event '${event}'.`);
 
         if (!this.#validEvents.includes(event)) {
             throw new GfEventManagerError(`'${event}' is an invalid event name.`);
         }
         if (!this.#events[event]) {
-            debug(`There are no users tied to event '${event}'.`);
+            log.debug(`There are no users tied to event '${event}'.`);
             return;
         }
 
-        debug(`Emitting event '${event}'.`);
+        log.debug(`Emitting event '${event}'.`);
 
         let sorted = this.#events[event].sort((a, b) => {
             if (a.pri < b.pri) {
@@ -149,7 +146,7 @@ class EventManager
             }));
         }
 
-        debug(`Emitted event '${event}'.`);
+        log.debug(`Emitted event '${event}'.`);
     }
 
 }
@@ -6,20 +6,36 @@
  */
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { URL } = require('url');
 const FsUtils = require('./fsUtils');
-const GfError = require('./gfError');
+const { GfFileCacheError } = require('./gfErrors');
 const GfPath = require('./gfPath');
+const CacheGroup = require('./cacheGroup');
 const { syslog } = require('./logger');
-const MD5 = require('./md5');
-const debug = require("debug")("GreenFedora-Util:FileCache");
-
-// Local error.
-class GfFileCacheError extends GfError {};
+const log = syslog.child({component: 'FileCache'});
 
 /**
  * File cache.
+ * 
+ * Check types:
+ * 
+ * stats        Compare mtime and size.
+ * statsdata    As 'stats', but never update the cache.
+ * hash         Compare a hash of the file's bytes (using the cache's algorithm) and size.
+ * md5          As 'hash', always using md5.
+ * hybrid       Compare mtime and size, and only hash the file if they've changed.
+ * 
+ * Hashed entries record the algorithm that produced them, so a change of algorithm counts as a
+ * modification.
+ * 
+ * Entries live in named groups (e.g. 'templates', 'images', 'remote-data'), each with its own check
+ * type, time-to-live and size limit. The plain has/get/set/add/del/check methods use the 'default'
+ * group, which takes the check type and algorithm given to the constructor.
+ * 
+ * The cache reads and writes through its own file system if given one (the 'fs' option), else
+ * through FsUtils.fs, so it works on a MemoryFs too.
  */
 class FileCache
 {
@@ -36,146 +52,541 @@ class FileCache
     sitePath = null;
 
     /**
-     * The cache data.
+     * File system given to the constructor (null for FsUtils.fs).
+     * @member  {RealFs|MemoryFs|null}
+     */
+    fsys = null;
+
+    /**
+     * Cache groups (name => CacheGroup).
+     * @member  {Map}
+     */
+    groups = null;
+
+    /**
+     * Dependencies (name => Set of names it depends on).
      * @member  {Map}
      */
-    data = {};
+    deps = null;
+
+    /**
+     * Chunk size for hashing.
+     * @member  {number}
+     */
+    static hashChunkSize = 65536;
 
     /**
-     * Check type.
+     * Format name (in the file header).
      * @member  {string}
      */
-    checkType = 'stats';
+    static formatName = 'greenfedora-filecache';
+
+    /**
+     * Current format version.
+     * 
+     * 1    Bare array of entries (no header).
+     * 2    {entries, deps} (no header).
+     * 3    Header line with version and checksum, then the {entries, deps} payload.
+     * 4    As 3, with a {groups, deps} payload.
+     * 
+     * @member  {number}
+     */
+    static formatVersion = 4;
+
+    /**
+     * Migrations, keyed by the version they upgrade from. Each takes the payload from that version
+     * and returns the payload for the next.
+     * @member  {object}
+     */
+    static migrations = {
+        1: (payload) => {
+            return {entries: payload, deps: []};
+        },
+        2: (payload) => {
+            return payload;
+        },
+        3: (payload) => {
+            let now = Date.now();
+            let entries = (payload.entries || []).map(([name, value]) => {
+                return [name, {value: value, stored: now, accessed: now}];
+            });
+            return {groups: [['default', {entries: entries}]], deps: payload.deps || []};
+        }
+    };
 
     /**
      * Constructor.
      * 
-     * @param   {string}        cachePath               Path to the actual cache.
-     * @param   {string}        sitePath                Site path.
-     * @param   {string}        checkType               Type to check.
+     * @param   {string}        cachePath                   Path to the actual cache.
+     * @param   {string}        sitePath                    Site path.
+     * @param   {string}        [checkType='stats']         Type to check.
+     * @param   {string}        [algorithm='sha256']        Hash algorithm ('sha256', 'sha1', 'md5' ...).
+     * @param   {object}        [options={}]                Options: fs (file system, default FsUtils.fs).
      * 
      * @return  {FileCache}
      */
-    constructor(cachePath, sitePath, checkType = 'stats')
+    constructor(cachePath, sitePath, checkType = 'stats', algorithm = 'sha256', options = {})
     {
         this.cachePath = cachePath;
         this.sitePath = sitePath;
-        this.checkType = checkType;
-        this.data = new Map();
+        this.fsys = options.fs || null;
+        this.groups = new Map();
+        this.groups.set('default', new CacheGroup('default', this, {checkType: checkType, algorithm: algorithm}));
+        this.deps = new Map();
     }
 
     /**
-     * Load a cache from disk.
+     * Get the file system we use.
+     * 
+     * @return  {RealFs|MemoryFs}
+     */
+    get fs()
+    {
+        return this.fsys || FsUtils.fs;
+    }
+
+    /**
+     * Get (creating it if necessary) a cache group.
+     * 
+     * If options are given for an existing group, it is reconfigured.
+     * 
+     * @param   {string}    name            Group name.
+     * @param   {object}    [options=null]  Options: checkType, algorithm, ttl, maxEntries, paths.
+     * 
+     * @return  {CacheGroup}
+     */
+    group(name, options = null)
+    {
+        if (!this.groups.has(name)) {
+            this.groups.set(name, new CacheGroup(name, this, options || {}));
+        } else if (null !== options) {
+            this.groups.get(name).configure(options);
+        }
+        return this.groups.get(name);
+    }
+
+    /**
+     * See if we have a cache group.
+     * 
+     * @param   {string}    name            Group name.
+     * 
+     * @return  {boolean}
+     */
+    hasGroup(name)
+    {
+        return this.groups.has(name);
+    }
+
+    /**
+     * Invalidate (clear) a whole cache group.
+     * 
+     * @param   {string}    name            Group name.
      * 
      * @return  {FileCache}
      */
-    load()
+    invalidateGroup(name)
     {
-        if (!fs.existsSync(this.cachePath)) {
-            debug(`No saved file cache found at ${this.cachePath}. This may be okay, but just saying.`);
-            this.data = new Map();
-        } else {
-            debug(`Loading file cache from ${this.cachePath}.`);
-            let serialised = fs.readFileSync(this.cachePath, 'utf8');
-            this.data = new Map(JSON.parse(serialised));
+        if (this.groups.has(name)) {
+            log.debug(`Invalidating cache group '${name}'.`);
+            this.groups.get(name).clear();
         }
         return this;
     }
 
     /**
-     * Save a cache to disk.
+     * Remove a cache group altogether.
      * 
-     * @return  {void}
+     * @param   {string}    name            Group name.
+     * 
+     * @return  {FileCache}
+     * 
+     * @throws  {GfFileCacheError}          If asked to remove the default group.
      */
-    save()
+    removeGroup(name)
     {
-        if (!fs.existsSync(path.dirname(this.cachePath))) {
-            fs.mkdirSync(path.dirname(this.cachePath), {recurse: true});
-            let serialised = JSON.stringify(Array.from(this.data.entries()));
-            fs.writeFileSync(this.cachePath, serialised, 'utf8');
-        } else {
-            let serialised = JSON.stringify(Array.from(this.data.entries()));
-            fs.writeFileSync(this.cachePath, serialised, 'utf8');
+        if ('default' === name) {
+            throw new GfFileCacheError(`The default cache group cannot be removed.`);
         }
+        this.groups.delete(name);
+        return this;
     }
 
     /**
-     * Run a cache check.
+     * Prune stale entries.
      * 
-     * @param   {string}    name    Name to run it against.
-     * @param   {boolean}   autoup  Auto update?
+     * Drops entries whose files no longer exist under the site path and (for groups that have been
+     * checked at all during this run) entries that weren't checked. Expired entries also go, and so
+     * do the recorded dependencies of missing files.
      * 
-     * @return  {boolean}           True if file has been modified, else false.
+     * The report lets the build delete the matching output files.
+     * 
+     * @param   {object}    [options={}]    Options: missing (true), untouched (true), groups (all).
+     * 
+     * @return  {object}                    Report: {removed: [{group, name, reason}], count}.
      */
-    check(name, autoup = true)
+    prune(options = {})
     {
-        name = GfPath.addLeadingSlash(name.replace(this.sitePath, ''));
-        let filePath = path.join(this.sitePath, name);
-        let current = fs.statSync(filePath);
+        let missing = (undefined === options.missing) ? true : options.missing;
+        let untouched = (undefined === options.untouched) ? true : options.untouched;
+        let groups = options.groups || Array.from(this.groups.keys());
 
-        if ('stats' === this.checkType) {
+        let removed = [];
+        for (let name of groups) {
+            if (this.groups.has(name)) {
+                removed = removed.concat(this.groups.get(name).prune(missing, untouched));
+            }
+        }
 
-            if (!this.has(name)) {
-                debug(`File '${name}' new to cache with values, mtime: ${current.mtimeMs}, size: ${current.size}.`);
-                if (autoup) {
-                    this.add(name, {mtimeMs: current.mtimeMs, size: current.size});
+        if (missing) {
+            for (let from of Array.from(this.deps.keys())) {
+                if (!this.fs.existsSync(path.join(this.sitePath, from))) {
+                    this.deps.delete(from);
                 }
-                return true;
             }
+        }
 
-            let cached = this.get(name);
+        log.debug(`Pruned ${removed.length} entries from the file cache.`);
 
-            if (current.mtimeMs > cached.mtimeMs || current.size !== cached.size) {
-                debug(`File '${name}' has been modified, updating cache, mtime: ${current.mtimeMs}, size: ${current.size}.`);
-                if (autoup) {
-                    this.set(name, {mtimeMs: current.mtimeMs, size: current.size});
-                }
-                return true;
-            }
+        return {removed: removed, count: removed.length};
+    }
 
-        } else if ('statsdata' === this.checkType) {
+    /**
+     * Get the default group's check type.
+     * 
+     * @return  {string}
+     */
+    get checkType()
+    {
+        return this.group('default').checkType;
+    }
 
-            if (!this.has(name)) {
-                debug(`File '${name}' new to cache with values, mtime: ${current.mtimeMs}, size: ${current.size}.`);
-                return true;
-            }
+    /**
+     * Set the default group's check type.
+     * 
+     * @param   {string}    val         Check type.
+     */
+    set checkType(val)
+    {
+        this.group('default', {checkType: val});
+    }
+
+    /**
+     * Get the default group's hash algorithm.
+     * 
+     * @return  {string}
+     */
+    get algorithm()
+    {
+        return this.group('default').algorithm;
+    }
+
+    /**
+     * Set the default group's hash algorithm.
+     * 
+     * @param   {string}    val         Algorithm.
+     */
+    set algorithm(val)
+    {
+        this.group('default', {algorithm: val});
+    }
+
+    /**
+     * Get the default group's data (name => value).
+     * 
+     * This is a live Map: changes made through it go straight to the default group.
+     * 
+     * @return  {CacheGroupData}
+     */
+    get data()
+    {
+        return this.group('default').data;
+    }
+
+    /**
+     * Replace the default group's data.
+     * 
+     * @param   {Map|object}    val     New data (name => value).
+     * 
+     * @return  {void}
+     */
+    set data(val)
+    {
+        let group = this.group('default');
+        group.clear();
+        for (let [name, value] of ((val instanceof Map) ? val : Object.entries(val || {}))) {
+            group.set(name, value);
+        }
+    }
+
+    /**
+     * Hash a file.
+     * 
+     * The file is read in chunks as raw bytes, so this is safe for binary files and doesn't need
+     * to hold large files in memory.
+     * 
+     * @param   {string}    filePath                File to hash.
+     * @param   {string}    [algorithm='sha256']    Hash algorithm.
+     * @param   {object}    [fsys=null]             File system (default FsUtils.fs).
+     * 
+     * @return  {string}                            Hex digest.
+     * @static
+     */
+    static hashFile(filePath, algorithm = 'sha256', fsys = null)
+    {
+        return FsUtils.hashFile(filePath, algorithm, FileCache.hashChunkSize, fsys);
+    }
 
-            let cached = this.get(name);
+    /**
+     * Hash a file (async version).
+     * 
+     * @param   {string}    filePath                File to hash.
+     * @param   {string}    [algorithm='sha256']    Hash algorithm.
+     * @param   {object}    [fsys=null]             File system (default FsUtils.fs).
+     * 
+     * @return  {Promise<string>}                   Hex digest.
+     * @static
+     */
+    static async hashFileAsync(filePath, algorithm = 'sha256', fsys = null)
+    {
+        let hash = crypto.createHash(algorithm);
+        let buf = Buffer.alloc(FileCache.hashChunkSize);
+        let fh = await (fsys || FsUtils.fs).promises.open(filePath, 'r');
 
-            if (current.mtimeMs > cached.mtimeMs || current.size !== cached.size) {
-                debug(`File '${name}' has been modified, updating cache, mtime: ${current.mtimeMs}, size: ${current.size}.`);
-                return true;
+        try {
+            let bytes;
+            while ((bytes = (await fh.read(buf, 0, buf.length, null)).bytesRead) > 0) {
+                hash.update(buf.subarray(0, bytes));
             }
+        } finally {
+            await fh.close();
+        }
+
+        return hash.digest('hex');
+    }
+
+    /**
+     * Load a cache from disk.
+     * 
+     * If the cache file is unreadable, corrupt or from a newer version we warn and start with an
+     * empty cache. That just means a full rebuild.
+     * 
+     * @return  {FileCache}
+     */
+    load()
+    {
+        for (let group of this.groups.values()) {
+            group.clear();
+        }
+        this.deps = new Map();
+
+        if (!this.fs.existsSync(this.cachePath)) {
+            log.debug(`No saved file cache found at ${this.cachePath}. This may be okay, but just saying.`);
+            return this;
+        }
+
+        log.debug(`Loading file cache from ${this.cachePath}.`);
 
-        } else if ('md5' === this.checkType) {
+        let payload;
+        try {
+            payload = this.parse(this.fs.readFileSync(this.cachePath, 'utf8'));
+        } catch (err) {
+            log.warning(`File cache at ${this.cachePath} could not be loaded, starting with an empty cache: ${err.message}`);
+            return this;
+        }
 
-            let md5 = (new MD5).md5(fs.readFileSync(filePath, 'utf-8'));
+        for (let [name, saved] of (payload.groups || [])) {
+            this.restoreGroup(name, saved);
+        }
+        for (let [from, tos] of (payload.deps || [])) {
+            this.deps.set(from, new Set(tos));
+        }
+
+        return this;
+    }
+
+    /**
+     * Restore a saved group.
+     * 
+     * Groups that have already been declared keep their configured settings (and if the check type
+     * or algorithm has changed since the save, the saved entries are discarded). Others get the
+     * saved settings.
+     * 
+     * @param   {string}    name        Group name.
+     * @param   {object}    saved       Saved group.
+     * 
+     * @return  {void}
+     */
+    restoreGroup(name, saved)
+    {
+        let settings = {};
+        for (let opt of ['checkType', 'algorithm', 'ttl', 'maxEntries', 'paths']) {
+            if (undefined !== saved[opt]) {
+                settings[opt] = saved[opt];
+            }
+        }
 
-            if (!this.has(name)) {
-                debug(`File '${name}' new to cache with values, size: ${current.size}, md5: ${md5}.`);
-                this.add(name, {md5: md5, size: current.size});
-                return true;
+        let group;
+        if (this.groups.has(name)) {
+            group = this.groups.get(name);
+            if ((settings.checkType && settings.checkType !== group.checkType) || 
+                (settings.algorithm && settings.algorithm !== group.algorithm)) {
+                log.debug(`Cache group '${name}' was saved with different check settings, discarding its entries.`);
+                return;
             }
+        } else {
+            group = this.group(name, settings);
+        }
+
+        for (let [entryName, entry] of (saved.entries || [])) {
+            group.entries.set(entryName, entry);
+        }
+        group.evict();
+    }
+
+    /**
+     * Parse a saved cache, checking it and migrating it to the current version.
+     * 
+     * @param   {string}    serialised  What was saved.
+     * 
+     * @return  {object}                The payload: {groups, deps}.
+     * 
+     * @throws  {GfFileCacheError}      If it's corrupt or can't be migrated.
+     */
+    parse(serialised)
+    {
+        let version;
+        let payload;
+
+        let nl = serialised.indexOf("\n");
+        let first = (-1 === nl) ? serialised : serialised.substring(0, nl);
 
-            let cached = this.get(name);
+        let header = null;
+        try {
+            header = JSON.parse(first);
+        } catch (err) {
+            // No header.
+        }
 
-            if (md5 !== cached.md5 || current.size !== cached.size) {
-                debug(`File '${name}' has been modified, updating cache, size: ${current.size}, md5: ${md5}.`);
-                this.set(name, {md5: md5, size: current.size});
-                return true;
+        if (header && FileCache.formatName === header.format) {
+            version = header.version;
+            let body = serialised.substring(nl + 1);
+            if (-1 === nl || header.checksum !== FileCache.checksum(body)) {
+                throw new GfFileCacheError(`Checksum mismatch, the cache file is probably truncated.`);
             }
-         
+            payload = JSON.parse(body);
         } else {
-            throw new GfFileCacheError(`Invalid cache check type ${this.checkType}.`);          
+            // Older caches have no header.
+            payload = JSON.parse(serialised);
+            version = (Array.isArray(payload)) ? 1 : 2;
         }
 
-        debug(`File ${name} is cached but has not been modified.`);
+        if (version > FileCache.formatVersion) {
+            throw new GfFileCacheError(`Cache format version ${version} is newer than we understand (${FileCache.formatVersion}).`);
+        }
 
-        return false;
+        while (version < FileCache.formatVersion) {
+            if (!FileCache.migrations[version]) {
+                throw new GfFileCacheError(`No migration from cache format version ${version}.`);
+            }
+            log.debug(`Migrating file cache from format version ${version}.`);
+            payload = FileCache.migrations[version](payload);
+            version++;
+        }
+
+        return payload;
     }
 
     /**
-     * See if we have an item.
+     * Save a cache to disk.
+     * 
+     * The write is atomic (see FsUtils.writeFile()), so an interrupted save can't leave a truncated
+     * cache behind.
+     * 
+     * @return  {void}
+     */
+    save()
+    {
+        let body = JSON.stringify(this.serialise());
+        let header = JSON.stringify({
+            format: FileCache.formatName, 
+            version: FileCache.formatVersion, 
+            checksum: FileCache.checksum(body)
+        });
+
+        try {
+            FsUtils.writeFile(this.cachePath, header + "\n" + body, 'utf8', this.fs);
+        } catch (err) {
+            throw new GfFileCacheError(`Could not save file cache to ${this.cachePath}.`, null, err);
+        }
+    }
+
+    /**
+     * Get the checksum of a payload.
+     * 
+     * @param   {string}    body        Serialised payload.
+     * 
+     * @return  {string}
+     * @static
+     */
+    static checksum(body)
+    {
+        return 'sha256:' + crypto.createHash('sha256').update(body).digest('hex');
+    }
+
+    /**
+     * Get the cache as a plain object for saving.
+     * 
+     * @return  {object}
+     */
+    serialise()
+    {
+        let deps = [];
+        for (let [from, tos] of this.deps) {
+            deps.push([from, Array.from(tos)]);
+        }
+
+        let groups = [];
+        for (let [name, group] of this.groups) {
+            groups.push([name, group.serialise()]);
+        }
+
+        return {
+            groups: groups,
+            deps: deps
+        };
+    }
+
+    /**
+     * Run a cache check (in the default group).
+     * 
+     * @param   {string}    name    Name to run it against.
+     * @param   {boolean}   autoup  Auto update?
+     * 
+     * @return  {boolean}           True if file has been modified, else false.
+     */
+    check(name, autoup = true)
+    {
+        return this.group('default').check(name, autoup);
+    }
+
+    /**
+     * Check a batch of files concurrently.
+     * 
+     * Pass every current file: cached names not among them are reported as deleted (see
+     * CacheGroup.checkMany()).
+     * 
+     * @param   {string[]}  paths           Names to check.
+     * @param   {object}    [options={}]    Options: concurrency (16), autoup (true), group ('default').
+     * 
+     * @return  {Promise<object>}           {changed, unchanged, new, deleted}, each a Set of names.
+     */
+    async checkMany(paths, options = {})
+    {
+        return this.group(options.group || 'default').checkMany(paths, options);
+    }
+
+    /**
+     * See if we have an item (in the default group).
      * 
      * @param   {any}       name    Name of item.
      * 
@@ -183,12 +594,11 @@ class FileCache
      */
     has(name)
     {
-        name = GfPath.addLeadingSlash(name.replace(this.sitePath, ''));
-        return this.data.has(name);
+        return this.group('default').has(name);
     }
 
     /**
-     * Get some data for a given name.
+     * Get some data for a given name (from the default group).
      * 
      * @param   {string}    name        Name of item to get.
      * 
@@ -196,64 +606,193 @@ class FileCache
      */
     get(name)
     {
-        name = GfPath.addLeadingSlash(name.replace(this.sitePath, ''));
-        if (this.has(name)) {
-            return this.data.get(name);
-        }
-        return null;
+        return this.group('default').get(name);
     }
 
     /**
-     * Set some data.
+     * Set some data (in the default group).
      * 
      * @param   {string}    name        Name of item to set.
      * @param   {any}       val         Data value.
      * 
-     * @return  {CacheGroup}
+     * @return  {FileCache}
      */
     set(name, val)
     {
-        name = GfPath.addLeadingSlash(name.replace(this.sitePath, ''));
-        this.data.set(name, val);
+        this.group('default').set(name, val);
         return this;
     }
 
     /**
-     * Add some data.
+     * Add some data (to the default group).
      * 
      * @param   {string}    name        Name of item to add.
      * @param   {any}       val         Data value.
      * 
-     * @return  {CacheGroup}
+     * @return  {FileCache}
      * 
-     * @throws  {GfCacheGroupError}     On errors.
+     * @throws  {GfFileCacheError}      On errors.
      */
     add(name, val)
     {
-        name = GfPath.addLeadingSlash(name.replace(this.sitePath, ''));
-        if (this.has(name)) {
-            throw new GfFileCacheError(`We already have a cache item called '${name}'. Maybe use 'set' instead?`);
-        }
-        return this.set(name, val);
+        this.group('default').add(name, val);
+        return this;
     }
 
     /**
-     * Delete some data.
+     * Delete some data (from the default group).
      * 
      * @param   {string}    name        Name of item to delete.
      * 
-     * @return  {CacheGroup}
-     * 
-     * @throws  {GfCacheGroupError}     On errors.
+     * @return  {FileCache}
      */
     del(name)
     {
-        name = GfPath.addLeadingSlash(name.replace(this.sitePath, ''));
-        if (this.has(name)) {
-            delete this.data.delete(name);
+        this.group('default').del(name);
+        return this;
+    }
+
+    /**
+     * Normalise a name.
+     * 
+     * Names are relative to the site path with a leading slash. Full URLs (such as those in
+     * ComplexImage's 'files') are reduced to their path.
+     * 
+     * @param   {string}    name        Name to normalise.
+     * 
+     * @return  {string}
+     */
+    normalise(name)
+    {
+        if (name.startsWith('http://') || name.startsWith('https://')) {
+            name = decodeURI(new URL(name).pathname);
+        }
+        return GfPath.addLeadingSlash(name.replace(this.sitePath, ''));
+    }
+
+    /**
+     * Record that one file depends on another.
+     * 
+     * For example, a page depends on its layout, includes, data files and images.
+     * 
+     * @param   {string}    from        The dependant (e.g. the page).
+     * @param   {string}    to          The dependency (e.g. the layout).
+     * 
+     * @return  {FileCache}
+     */
+    addDependency(from, to)
+    {
+        from = this.normalise(from);
+        if (!this.deps.has(from)) {
+            this.deps.set(from, new Set());
         }
+        this.deps.get(from).add(this.normalise(to));
+        return this;
+    }
+
+    /**
+     * Record that one file depends on several others.
+     * 
+     * @param   {string}    from        The dependant (e.g. the page).
+     * @param   {string[]}  tos         The dependencies.
+     * 
+     * @return  {FileCache}
+     */
+    addDependencies(from, tos)
+    {
+        for (let to of tos) {
+            this.addDependency(from, to);
+        }
+        return this;
+    }
+
+    /**
+     * Clear the dependencies of a file.
+     * 
+     * Call this before re-recording a file's dependencies when it is rebuilt.
+     * 
+     * @param   {string}    from        The dependant.
+     * 
+     * @return  {FileCache}
+     */
+    clearDependencies(from)
+    {
+        this.deps.delete(this.normalise(from));
         return this;
     }
+
+    /**
+     * Get the direct dependencies of a file.
+     * 
+     * @param   {string}    from        The dependant.
+     * 
+     * @return  {string[]}
+     */
+    getDependencies(from)
+    {
+        let tos = this.deps.get(this.normalise(from));
+        return (tos) ? Array.from(tos) : [];
+    }
+
+    /**
+     * Get the direct dependants of a file.
+     * 
+     * @param   {string}    to          The dependency.
+     * 
+     * @return  {string[]}
+     */
+    getDependants(to)
+    {
+        to = this.normalise(to);
+        let ret = [];
+        for (let [from, tos] of this.deps) {
+            if (tos.has(to)) {
+                ret.push(from);
+            }
+        }
+        return ret;
+    }
+
+    /**
+     * Get the set of dirty files given a list of changed files.
+     * 
+     * That's the changed files themselves plus everything that depends on them, directly or
+     * transitively.
+     * 
+     * @param   {string[]}  changedFiles    Changed files.
+     * 
+     * @return  {Set<string>}               Dirty file names (normalised).
+     */
+    getDirtySet(changedFiles)
+    {
+        let reverse = new Map();
+        for (let [from, tos] of this.deps) {
+            for (let to of tos) {
+                if (!reverse.has(to)) {
+                    reverse.set(to, []);
+                }
+                reverse.get(to).push(from);
+            }
+        }
+
+        let dirty = new Set();
+        let queue = changedFiles.map(f => this.normalise(f));
+
+        while (queue.length > 0) {
+            let name = queue.shift();
+            if (dirty.has(name)) {
+                continue;
+            }
+            dirty.add(name);
+            for (let dependant of (reverse.get(name) || [])) {
+                if (!dirty.has(dependant)) {
+                    queue.push(dependant);
+                }
+            }
+        }
+
+        return dirty;
+    }
 }
 
 module.exports = FileCache;
\ No newline at end of file
@@ -6,18 +6,62 @@
  */
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
-const rimraf = require('rimraf');
+const crypto = require('crypto');
 const GfError = require('./gfError');
+const { GfFsUtilsError } = require('./gfErrors');
+const GfPath = require('./gfPath');
 const GfRegex = require('./gfRegex');
+const GlobMatcher = require('./globMatcher');
+const promisePool = require('./promisePool');
+const RealFs = require('./vfs/realFs');
+const Archive = require('./archive');
 const { syslog } = require('./logger');
 
 /**
  * File system utilities.
+ * 
+ * Everything goes through FsUtils.fs, which is the real file system unless useFs() swaps in
+ * another (such as a MemoryFs). FileCache and ArtefactCache use it too.
  */
 class FsUtils
 {
+    /**
+     * The file system we use.
+     * @member  {RealFs|MemoryFs}
+     */
+    static fs = new RealFs();
+
+    /**
+     * Roots that deletions must be inside (empty for anywhere that passes the other checks).
+     * @member  {string[]}
+     */
+    static deleteRoots = [];
+
+    /**
+     * Files or directories whose presence marks a directory we must never delete.
+     * @member  {string[]}
+     */
+    static deleteMarkers = ['.git', '.hg', '.svn', 'package.json'];
+
+    /**
+     * Use a different file system.
+     * 
+     * This is global: it affects everything that doesn't have a file system of its own (FileCache,
+     * ArtefactCache and Watcher take an 'fs' option for that), including GfError.getFrame().
+     * 
+     * @param   {RealFs|MemoryFs}   fsys        File system (null for the real one).
+     * 
+     * @return  {RealFs|MemoryFs}               The one we were using before.
+     */
+    static useFs(fsys)
+    {
+        let previous = FsUtils.fs;
+        FsUtils.fs = fsys || new RealFs();
+        GfError.fs = FsUtils.fs;
+        return previous;
+    }
+
     /**
      * Make a directory recursively.
      * 
@@ -27,7 +71,7 @@ class FsUtils
      */
     static mkDirRecurse(path)
     {
-        fs.mkdirSync(path, { recursive: true })
+        FsUtils.fs.mkdirSync(path, { recursive: true })
     }
 
     /**
@@ -39,35 +83,142 @@ class FsUtils
      */
     static async mkDirRecurseAsync(path)
     {
-        return fs.mkdir(path, { recursive: true })
+        return FsUtils.fs.promises.mkdir(path, { recursive: true })
+    }
+
+    /**
+     * Check a directory is safe to delete.
+     * 
+     * We refuse the file system root, the current directory and anything above it, anything outside
+     * the allowed roots (opts.roots or FsUtils.deleteRoots, if there are any) and any directory
+     * with a marker (opts.markers or FsUtils.deleteMarkers) such as '.git' anywhere inside it, so a
+     * parent of a repository is protected too. Symbolic links aren't followed when looking for
+     * markers. The directory and the roots are compared by their real paths.
+     * 
+     * @param   {string}    dir         Directory.
+     * @param   {object}    [opts={}]   Options: roots, markers.
+     * 
+     * @return  {string}                The resolved directory.
+     * 
+     * @throws  {GfFsUtilsError}        If it isn't safe.
+     */
+    static checkDeletable(dir, opts = {})
+    {
+        let real = (p) => {
+            p = path.resolve(p);
+            return (FsUtils.fs.existsSync(p)) ? FsUtils.fs.realpathSync(p) : p;
+        };
+        let resolved = real(dir);
+
+        if (path.parse(resolved).root === resolved) {
+            throw new GfFsUtilsError(`Refusing to delete ${resolved} because it is the file system root.`);
+        }
+
+        if (GfPath.isInside(resolved, process.cwd())) {
+            throw new GfFsUtilsError(`Refusing to delete ${resolved} because it contains the current directory.`);
+        }
+
+        let roots = opts.roots || FsUtils.deleteRoots;
+        if (roots.length > 0 && !roots.some(root => resolved !== real(root) && GfPath.isInside(real(root), resolved))) {
+            throw new GfFsUtilsError(`Refusing to delete ${resolved} because it is not inside an allowed root.`, 
+                {roots: roots});
+        }
+
+        let markers = opts.markers || FsUtils.deleteMarkers;
+        if (markers.length > 0 && FsUtils.fs.existsSync(resolved) && FsUtils.fs.statSync(resolved).isDirectory()) {
+            for (let entry of FsUtils.walkSync(resolved, {followSymlinks: false})) {
+                if (markers.includes(entry.name)) {
+                    throw new GfFsUtilsError(`Refusing to delete ${resolved} because it contains '${entry.relPath}'.`);
+                }
+            }
+        }
+
+        return resolved;
+    }
+
+    /**
+     * List what deleting a directory would remove, deepest first.
+     * 
+     * @param   {string}    dir         Directory.
+     * 
+     * @return  {string[]}
+     */
+    static removalList(dir)
+    {
+        let ret = [];
+        for (let entry of FsUtils.walkSync(dir, {sort: true})) {
+            ret.push(entry.path);
+        }
+        return ret.reverse().concat([dir]);
+    }
+
+    /**
+     * Move a directory to the trash directory.
+     * 
+     * @param   {string}    dir         Directory.
+     * @param   {string}    trash       Trash directory.
+     * 
+     * @return  {string}                Where it went.
+     */
+    static moveToTrash(dir, trash)
+    {
+        let stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        let target = path.join(trash, `${path.basename(dir)}-${stamp}`);
+
+        FsUtils.fs.mkdirSync(trash, {recursive: true});
+        try {
+            FsUtils.fs.renameSync(dir, target);
+        } catch (err) {
+            if ('EXDEV' !== err.code) {
+                throw err;
+            }
+            // Different device, so copy then delete.
+            FsUtils.fs.cpSync(dir, target, {recursive: true});
+            FsUtils.fs.rmSync(dir, {recursive: true, force: true});
+        }
+
+        syslog.info(`Moved ${dir} to the trash at ${target}.`);
+        return target;
     }
 
     /**
      * Delete a folder recursively.
      * 
-     * @param   {string}    dir     Directory to clean.
-     * @param   {boolean}   force   Force?
+     * The folder must pass checkDeletable(). Options are:
+     * 
+     * roots        Allowed roots (default FsUtils.deleteRoots).
+     * markers      Marker names, looked for anywhere inside (default FsUtils.deleteMarkers).
+     * trash        Move the folder into this directory instead of deleting it.
+     * dryRun       Delete nothing and just return what would be removed.
      * 
-     * @return  {boolean}           True if it worked else false.              
+     * @param   {string}    dir         Directory to delete.
+     * @param   {boolean}   force       Force?
+     * @param   {object}    [opts={}]   Options.
+     * 
+     * @return  {boolean|string[]}      True if it worked else false, or for a dry run what would be removed.
+     * 
+     * @throws  {GfFsUtilsError}        If it isn't safe to delete or the deletion fails.
      */
-    static deleteFolderRecursive(dir, force = true)
+    static deleteFolderRecursive(dir, force = true, opts = {})
     {
-        let rmdOpts = {recursive: true, maxRetries: 5, force: force};
+        if (!FsUtils.fs.existsSync(dir)) {
+            return (opts.dryRun) ? [] : true;
+        }
+
+        FsUtils.checkDeletable(dir, opts);
+
+        if (opts.dryRun) {
+            return FsUtils.removalList(dir);
+        }
 
         try {
-            if (fs.existsSync(dir)) {
-                fs.readdirSync(dir).forEach((file) => {
-                    const curPath = path.join(dir, file);
-                    if (fs.lstatSync(curPath).isDirectory()) { // recurse
-                        FsUtils.deleteFolderRecursive(curPath);
-                    } else { // delete file
-                        fs.unlinkSync(curPath);
-                    }
-                });
-                fs.rmSync(dir, rmdOpts);
+            if (opts.trash) {
+                FsUtils.moveToTrash(dir, opts.trash);
+            } else {
+                FsUtils.fs.rmSync(dir, {recursive: true, maxRetries: 5, force: force});
             }
         } catch (err) {
-            throw new GfError("Error in deleteFolderRecursive: " + err.message, '', err);
+            throw new GfFsUtilsError("Error in deleteFolderRecursive: " + err.message, '', err);
         }
         return true;
     }
@@ -75,33 +226,47 @@ class FsUtils
     /**
      * Clean a directory.
      * 
-     * @param   {string}    dir     Directory to clean.
+     * Takes the same options as deleteFolderRecursive().
+     * 
+     * @param   {string}    dir         Directory to clean.
+     * @param   {object}    [opts={}]   Options.
      * 
-     * @return  {boolean}           True if we cleaned it, else false.
+     * @return  {boolean|string[]}      True if we cleaned it, else false, or for a dry run what would be removed.
+     * 
+     * @throws  {GfFsUtilsError}        If it isn't safe to delete.
      */
-    static cleanDir(dir)
+    static cleanDir(dir, opts = {})
     {
-        if (fs.existsSync(dir)) {
-            rimraf.sync(dir, {glob: false});
-            return true;
+        if (FsUtils.fs.existsSync(dir)) {
+            return FsUtils.deleteFolderRecursive(dir, true, opts);
         }
-        return false;
+        return (opts.dryRun) ? [] : false;
     }
 
     /**
-     * Copy a directory.
+     * Make a file filter from copy options.
      * 
-     * @param   {string}    from    Directory to copy from.
-     * @param   {string}    to      Directory to copy to.
-     * @param   {object}    opts    Options.   
+     * Options are:
+     * 
+     * fileNotBeginsWith    Skip files whose names begin with any of these.
+     * skipPrefixedDirs     Skip directories (and so everything in them) whose names begin with
+     *                      any of fileNotBeginsWith too (default false).
+     * fileNotExt           Skip files with any of these extensions.
+     * include              Only include files matching these globs (see GlobMatcher).
+     * exclude              Skip files and directories matching these globs.
+     * ignoreFiles          Skip whatever these .gitignore-style files say (relative to the root).
+     * 
+     * Globs are matched against paths relative to the root.
+     * 
+     * @param   {object}        opts            Options.
+     * @param   {string|null}   [root=null]     Root directory.
+     * @param   {object|null}   [fsys=null]     File system to read ignore files from (default FsUtils.fs).
+     * 
+     * @return  {function}      Takes a path and whether it's a directory, and returns true if it should be included.
      */
-    static copyDir(from, to, opts = {fileNotBeginsWith: ['.']})
+    static fileFilter(opts = {}, root = null, fsys = null)
     {
-        if (!fs.existsSync(from)) {
-            syslog.warning("Directory does not exist for copy (although this might be ignorable).", from);
-            return;
-        }
-
+        fsys = fsys || FsUtils.fs;
         let fnbwRegex = null;
 
         if (opts.fileNotBeginsWith) {
@@ -120,34 +285,73 @@ class FsUtils
             }
         }
 
-        let entries = fs.readdirSync(from);
+        let include = (opts.include && opts.include.length > 0) ? new GlobMatcher(opts.include) : null;
+        let exclude = new GlobMatcher(opts.exclude || []);
+
+        for (let ignoreFile of (opts.ignoreFiles || [])) {
+            ignoreFile = path.resolve(root || '', ignoreFile);
+            if (fsys.existsSync(ignoreFile)) {
+                let dir = path.dirname(ignoreFile);
+                let base = (null === root || !GfPath.isInside(root, dir)) ? '' : path.relative(root, dir);
+                exclude.addIgnoreFile(ignoreFile, base, fsys);
+            }
+        }
+
+        return (filePath, isDir = false) => {
+            let relPath = GlobMatcher.relative(root, filePath);
+            if (!exclude.empty && exclude.matches(relPath, isDir)) {
+                return false;
+            }
+            if (fnbwRegex != null && (!isDir || opts.skipPrefixedDirs) && null !== fnbwRegex.exec(path.basename(filePath))) {
+                return false;
+            }
+            if (isDir) {
+                return true;
+            }
+            if (fneRegex != null && path.extname(filePath) && null !== fneRegex.exec(path.extname(filePath))) {
+                return false;
+            }
+            if (null !== include && !include.matches(relPath)) {
+                return false;
+            }
+            return true;
+        };
+    }
+
+    /**
+     * Copy a directory.
+     * 
+     * @param   {string}    from            Directory to copy from.
+     * @param   {string}    to              Directory to copy to.
+     * @param   {object}    opts            Options (see fileFilter()).
+     * @param   {function}  [filter=null]   Filter (used internally when recursing).
+     */
+    static copyDir(from, to, opts = {fileNotBeginsWith: ['.']}, filter = null)
+    {
+        if (!FsUtils.fs.existsSync(from)) {
+            syslog.warning("Directory does not exist for copy (although this might be ignorable).", from);
+            return;
+        }
+
+        if (null === filter) {
+            filter = FsUtils.fileFilter(opts, from);
+        }
+
+        let entries = FsUtils.fs.readdirSync(from);
 
         entries.forEach((entry) => {
 
 
             let fromPath = path.join(from, entry);
             let toPath = path.join(to, entry);
-            let stats = fs.statSync(fromPath);
+            let stats = FsUtils.fs.statSync(fromPath);
             
-            let go = true;
-            if (stats.isFile() && fnbwRegex != null) {
-                if (null !== fnbwRegex.exec(path.basename(fromPath))) {
-                    go = false;
-                }
-            }
-
-            if (stats.isFile() && path.extname(fromPath) && fneRegex != null) {
-                if (null !== fneRegex.exec(path.extname(fromPath))) {
-                    go = false;
-                }
-            }
-
-            if (go) {
+            if (filter(fromPath, stats.isDirectory())) {
             
                 if (stats.isFile()) {
                     FsUtils.copyFile(fromPath, toPath);
                 } else if (stats.isDirectory()) {
-                    FsUtils.copyDir(fromPath, toPath, opts);
+                    FsUtils.copyDir(fromPath, toPath, opts, filter);
                 }
             
             }
@@ -158,69 +362,90 @@ class FsUtils
     /**
      * Copy a directory (async).
      * 
-     * @param   {string}    from    Directory to copy from.
-     * @param   {string}    to      Directory to copy to.
-     * @param   {object}    opts    Options.   
+     * Options are those of fileFilter() plus the ones below. They're merged over the default of
+     * skipping dot files (like copyDir()), so pass fileNotBeginsWith: [] to include those.
+     * 
+     * concurrency      Maximum number of files copied at once (default 8).
+     * signal           AbortSignal to cancel the copy.
+     * onProgress       Called after each file with {done, total, file} (file relative to 'from').
+     *                  If it throws, that's logged and the copy carries on.
+     * 
+     * A failed file doesn't stop the others; once they're done, all the failures are thrown
+     * together.
+     * 
+     * @param   {string}    from            Directory to copy from.
+     * @param   {string}    to              Directory to copy to.
+     * @param   {object}    opts            Options.
+     * 
+     * @return  {Promise<string[]>}         Files copied (relative to 'from').
+     * 
+     * @throws  {GfFsUtilsError}            If any files couldn't be copied or the copy was aborted.
      */
-    static async copyDirAsync(from, to, opts = {fileNotBeginsWith: ['.']})
+    static async copyDirAsync(from, to, opts = {})
     {
-        if (!fs.existsSync(from)) {
+        opts = Object.assign({fileNotBeginsWith: ['.']}, opts);
+
+        try {
+            await FsUtils.fs.promises.access(from);
+        } catch (err) {
             syslog.warning("Directory does not exist for async copy (although this might be ignorable).", from);
-            return;
+            return [];
         }
 
-        let fnbwRegex = null;
+        let signal = opts.signal || null;
+        let concurrency = opts.concurrency || 8;
 
-        if (opts.fileNotBeginsWith) {
-            let ap = GfRegex.sanitizeFileRegex(opts.fileNotBeginsWith);
-            if (ap != '') {
-                fnbwRegex = new RegExp("^(" + ap + ")", 'i');
+        let files = [];
+        for await (let entry of FsUtils.walk(from, Object.assign({}, opts, {dirs: false, followSymlinks: true}))) {
+            if (null !== signal && signal.aborted) {
+                break;
             }
-        }
-        
-        let fneRegex = null;
-
-        if (opts.fileNotExt) {
-            let ap = GfRegex.sanitizeExtRegex(opts.fileNotExt);
-            if (ap != '') {
-                fneRegex = new RegExp("^(" + ap + ")", 'i');
+            if ('file' === entry.type) {
+                files.push(entry.relPath);
             }
         }
 
-        let entries = fs.readdirSync(from);
+        let copied = [];
+        let errors = [];
 
-        await Promise.all(entries.map(async entry => {
-
-            let fromPath = path.join(from, entry);
-            let toPath = path.join(to, entry);
-            let stats = fs.statSync(fromPath);
-            
-            let go = true;
-            if (stats.isFile() && fnbwRegex != null) {
-                if (null !== fnbwRegex.exec(path.basename(fromPath))) {
-                    go = false;
-                }
+        await promisePool(files, concurrency, async (relPath) => {
+            if (null !== signal && signal.aborted) {
+                throw new GfFsUtilsError(`Copy from ${from} to ${to} was aborted.`);
             }
-
-            if (stats.isFile() && path.extname(fromPath) && fneRegex != null) {
-                if (null !== fneRegex.exec(path.extname(fromPath))) {
-                    go = false;
-                }
+            try {
+                await FsUtils.copyFileAsync(path.join(from, relPath), path.join(to, relPath));
+                copied.push(relPath);
+            } catch (err) {
+                errors.push(err);
             }
-
-            if (go) {
-            
-                if (stats.isFile()) {
-                    FsUtils.copyFileAsync(fromPath, toPath);
-                } else if (stats.isDirectory()) {
-                    FsUtils,copyDirAsync(fromPath, toPath, opts);
+            if (opts.onProgress) {
+                try {
+                    opts.onProgress({done: copied.length + errors.length, total: files.length, file: relPath});
+                } catch (err) {
+                    syslog.warning(`Progress callback failed while copying ${relPath}: ${err.message}`);
                 }
-            
             }
+        }).catch((err) => {
+            // An abort is dealt with below, anything else is a real failure.
+            if (null === signal || !signal.aborted) {
+                throw err;
+            }
+        });
+
+        if (null !== signal && signal.aborted) {
+            throw new GfFsUtilsError(`Copy from ${from} to ${to} was aborted.`, 
+                {copied: copied.length, total: files.length});
+        }
 
-        }));
+        if (errors.length > 0) {
+            let err = new GfFsUtilsError(`${errors.length} of ${files.length} files could not be copied from ${from} to ${to}.`, 
+                {failed: errors.length, copied: copied.length}, errors[0]);
+            err.errors = errors;
+            throw err;
+        }
+
+        return copied;
     }
- 
 
     /**
      * Copy a file.
@@ -232,14 +457,14 @@ class FsUtils
     static copyFile(from, to, mode = 0o777) 
     {
         FsUtils.mkDirRecurse(path.dirname(to), mode);
-        if (fs.existsSync(path.dirname(to))) {
+        if (FsUtils.fs.existsSync(path.dirname(to))) {
             try {
-                fs.copyFileSync(from, to);
+                FsUtils.fs.copyFileSync(from, to);
             } catch (err) {
-                throw new GfError(`Could not copy to ${to}\\n${err}`, '', err);
+                throw new GfFsUtilsError(`Could not copy to ${to}\\n${err}`, '', err);
             }
         } else {
-            throw new GfError(`Cannot copy file to ${to} because directory does not exist.`);
+            throw new GfFsUtilsError(`Cannot copy file to ${to} because directory does not exist.`);
         }
     }
 
@@ -252,16 +477,566 @@ class FsUtils
      */
     static async copyFileAsync(from, to, mode = 0o777) 
     {
-        await FsUtils.mkDirRecurseAsync(path.dirname(to), mode);
-        if (fs.existsSync(path.dirname(to))) {
+        try {
+            await FsUtils.mkDirRecurseAsync(path.dirname(to), mode);
+            await FsUtils.fs.promises.copyFile(from, to);
+        } catch (err) {
+            throw new GfFsUtilsError(`Could not copy to ${to}\\n${err}`, '', err);
+        }
+    }
+
+    /**
+     * Get a temporary path to write to before renaming into place.
+     * 
+     * @param   {string}    filePath    Final path.
+     * 
+     * @return  {string}
+     */
+    static tempPath(filePath)
+    {
+        return `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    }
+
+    /**
+     * Write a file atomically.
+     * 
+     * Parent directories are created, and the content goes to a temporary file that is renamed
+     * into place, so readers never see a half-written file.
+     * 
+     * @param   {string}            filePath            File to write.
+     * @param   {string|Buffer}     content             Content.
+     * @param   {string}            [encoding='utf8']   Encoding (for string content).
+     * @param   {object|null}       [fsys=null]         File system (default FsUtils.fs).
+     * 
+     * @return  {boolean}                               True (we always write).
+     * 
+     * @throws  {GfFsUtilsError}                        If it can't be written.
+     */
+    static writeFile(filePath, content, encoding = 'utf8', fsys = null)
+    {
+        fsys = fsys || FsUtils.fs;
+        let tmp = FsUtils.tempPath(filePath);
+        try {
+            fsys.mkdirSync(path.dirname(filePath), {recursive: true});
+            fsys.writeFileSync(tmp, content, encoding);
+            fsys.renameSync(tmp, filePath);
+        } catch (err) {
             try {
-                fs.copyFileSync(from, to);
-            } catch (err) {
-                throw new GfError(`Could not copy to ${to}\\n${err}`, '', err);
+                fsys.rmSync(tmp, {force: true});
+            } catch (e) {
+                // Nothing to clean up.
             }
-        } else {
-            throw new GfError(`Cannot copy file to ${to} because directory does not exist.`);
+            throw new GfFsUtilsError(`Could not write ${filePath}.`, null, err);
+        }
+        return true;
+    }
+
+    /**
+     * Write a file atomically (async).
+     * 
+     * @param   {string}            filePath            File to write.
+     * @param   {string|Buffer}     content             Content.
+     * @param   {string}            [encoding='utf8']   Encoding (for string content).
+     * 
+     * @return  {Promise<boolean>}                      True (we always write).
+     * 
+     * @throws  {GfFsUtilsError}                        If it can't be written.
+     */
+    static async writeFileAsync(filePath, content, encoding = 'utf8')
+    {
+        let tmp = FsUtils.tempPath(filePath);
+        try {
+            await FsUtils.fs.promises.mkdir(path.dirname(filePath), {recursive: true});
+            await FsUtils.fs.promises.writeFile(tmp, content, encoding);
+            await FsUtils.fs.promises.rename(tmp, filePath);
+        } catch (err) {
+            await FsUtils.fs.promises.rm(tmp, {force: true}).catch(() => {});
+            throw new GfFsUtilsError(`Could not write ${filePath}.`, null, err);
+        }
+        return true;
+    }
+
+    /**
+     * Write a file atomically, but only if its content has changed.
+     * 
+     * Leaving unchanged files alone keeps their mtime, so they don't invalidate caches or deploys
+     * downstream.
+     * 
+     * @param   {string}            filePath            File to write.
+     * @param   {string|Buffer}     content             Content.
+     * @param   {string}            [encoding='utf8']   Encoding (for string content).
+     * 
+     * @return  {boolean}                               True if we wrote, false if it was unchanged.
+     * 
+     * @throws  {GfFsUtilsError}                        If it can't be written.
+     */
+    static writeIfChanged(filePath, content, encoding = 'utf8')
+    {
+        let buf = (Buffer.isBuffer(content)) ? content : Buffer.from(content, encoding);
+        try {
+            if (FsUtils.fs.statSync(filePath).size === buf.length && buf.equals(FsUtils.fs.readFileSync(filePath))) {
+                return false;
+            }
+        } catch (err) {
+            // Doesn't exist (or can't be read), so write it.
+        }
+        return FsUtils.writeFile(filePath, buf);
+    }
+
+    /**
+     * Write a file atomically, but only if its content has changed (async).
+     * 
+     * @param   {string}            filePath            File to write.
+     * @param   {string|Buffer}     content             Content.
+     * @param   {string}            [encoding='utf8']   Encoding (for string content).
+     * 
+     * @return  {Promise<boolean>}                      True if we wrote, false if it was unchanged.
+     * 
+     * @throws  {GfFsUtilsError}                        If it can't be written.
+     */
+    static async writeIfChangedAsync(filePath, content, encoding = 'utf8')
+    {
+        let buf = (Buffer.isBuffer(content)) ? content : Buffer.from(content, encoding);
+        try {
+            let stats = await FsUtils.fs.promises.stat(filePath);
+            if (stats.size === buf.length && buf.equals(await FsUtils.fs.promises.readFile(filePath))) {
+                return false;
+            }
+        } catch (err) {
+            // Doesn't exist (or can't be read), so write it.
+        }
+        return FsUtils.writeFileAsync(filePath, buf);
+    }
+
+    /**
+     * Normalise walk options.
+     * 
+     * @param   {string}    dir     Directory being walked.
+     * @param   {object}    opts    Options (see walk()).
+     * 
+     * @return  {object}
+     */
+    static walkOptions(dir, opts)
+    {
+        let sort = null;
+        if (true === opts.sort) {
+            sort = (a, b) => (a.name < b.name) ? -1 : ((a.name > b.name) ? 1 : 0);
+        } else if ('function' === typeof opts.sort) {
+            sort = opts.sort;
+        }
+
+        return {
+            maxDepth: (undefined === opts.maxDepth) ? Infinity : opts.maxDepth,
+            followSymlinks: opts.followSymlinks || false,
+            files: (undefined === opts.files) ? true : opts.files,
+            dirs: (undefined === opts.dirs) ? true : opts.dirs,
+            sort: sort,
+            filter: FsUtils.fileFilter(opts, dir)
+        };
+    }
+
+    /**
+     * Get the type of a directory entry from its stats.
+     * 
+     * @param   {fs.Stats}  stats   Stats.
+     * 
+     * @return  {string}            'file', 'directory', 'symlink' or 'other'.
+     */
+    static walkType(stats)
+    {
+        if (stats.isSymbolicLink()) {
+            return 'symlink';
+        } else if (stats.isDirectory()) {
+            return 'directory';
+        } else if (stats.isFile()) {
+            return 'file';
+        }
+        return 'other';
+    }
+
+    /**
+     * Walk a directory tree.
+     * 
+     * Yields {path, relPath, name, stats, type, depth} for each entry, each directory before its
+     * contents. Depth is 1 for the directory's immediate entries. Options are:
+     * 
+     * maxDepth         How deep to go (default no limit).
+     * followSymlinks   Follow symbolic links (default false)? Links back up the tree are skipped.
+     * files            Yield files (default true)?
+     * dirs             Yield directories (default true)?
+     * sort             True to sort each directory's entries by name, or a comparison function.
+     * 
+     * plus the filter options of fileFilter(), with globs relative to the directory walked.
+     * 
+     *      for await (let entry of FsUtils.walk(dir, {include: ['*.md']})) { ... }
+     * 
+     * @param   {string}    dir         Directory to walk.
+     * @param   {object}    [opts={}]   Options.
+     * 
+     * @return  {AsyncGenerator<object>}
+     */
+    static async *walk(dir, opts = {})
+    {
+        let wo = FsUtils.walkOptions(dir, opts);
+        let rootStats = await FsUtils.fs.promises.stat(dir);
+        yield* FsUtils.walkDirAsync(dir, dir, 1, wo, [`${rootStats.dev}:${rootStats.ino}`]);
+    }
+
+    /**
+     * Walk one directory (async).
+     * 
+     * @param   {string}    root        Root of the walk.
+     * @param   {string}    dir         Directory.
+     * @param   {number}    depth       Depth of its entries.
+     * @param   {object}    wo          Walk options.
+     * @param   {string[]}  ancestors   Device and inode of the directories above us.
+     * 
+     * @return  {AsyncGenerator<object>}
+     */
+    static async *walkDirAsync(root, dir, depth, wo, ancestors)
+    {
+        let names = await FsUtils.fs.promises.readdir(dir);
+        let entries = [];
+
+        for (let name of names) {
+            let entryPath = path.join(dir, name);
+            let stats = await FsUtils.fs.promises.lstat(entryPath);
+            if (stats.isSymbolicLink() && wo.followSymlinks) {
+                try {
+                    stats = await FsUtils.fs.promises.stat(entryPath);
+                } catch (err) {
+                    syslog.debug(`Broken symbolic link ${entryPath} while walking.`);
+                }
+            }
+            entries.push({path: entryPath, relPath: path.relative(root, entryPath), name: name, 
+                stats: stats, type: FsUtils.walkType(stats), depth: depth});
+        }
+
+        if (null !== wo.sort) {
+            entries.sort(wo.sort);
+        }
+
+        for (let entry of entries) {
+            let isDir = ('directory' === entry.type);
+            if (!wo.filter(entry.path, isDir)) {
+                continue;
+            }
+            if ((isDir && wo.dirs) || (!isDir && wo.files)) {
+                yield entry;
+            }
+            if (isDir && depth < wo.maxDepth) {
+                let id = `${entry.stats.dev}:${entry.stats.ino}`;
+                if (ancestors.includes(id)) {
+                    syslog.debug(`Symbolic link cycle at ${entry.path}, not following it.`);
+                    continue;
+                }
+                yield* FsUtils.walkDirAsync(root, entry.path, depth + 1, wo, ancestors.concat([id]));
+            }
+        }
+    }
+
+    /**
+     * Walk a directory tree (sync version).
+     * 
+     * Takes the same options and yields the same entries as walk().
+     * 
+     *      for (let entry of FsUtils.walkSync(dir, {maxDepth: 2, sort: true})) { ... }
+     * 
+     * @param   {string}    dir         Directory to walk.
+     * @param   {object}    [opts={}]   Options.
+     * 
+     * @return  {Generator<object>}
+     */
+    static *walkSync(dir, opts = {})
+    {
+        let wo = FsUtils.walkOptions(dir, opts);
+        let rootStats = FsUtils.fs.statSync(dir);
+        yield* FsUtils.walkDirSync(dir, dir, 1, wo, [`${rootStats.dev}:${rootStats.ino}`]);
+    }
+
+    /**
+     * Walk one directory (sync).
+     * 
+     * @param   {string}    root        Root of the walk.
+     * @param   {string}    dir         Directory.
+     * @param   {number}    depth       Depth of its entries.
+     * @param   {object}    wo          Walk options.
+     * @param   {string[]}  ancestors   Device and inode of the directories above us.
+     * 
+     * @return  {Generator<object>}
+     */
+    static *walkDirSync(root, dir, depth, wo, ancestors)
+    {
+        let entries = [];
+
+        for (let name of FsUtils.fs.readdirSync(dir)) {
+            let entryPath = path.join(dir, name);
+            let stats = FsUtils.fs.lstatSync(entryPath);
+            if (stats.isSymbolicLink() && wo.followSymlinks) {
+                try {
+                    stats = FsUtils.fs.statSync(entryPath);
+                } catch (err) {
+                    syslog.debug(`Broken symbolic link ${entryPath} while walking.`);
+                }
+            }
+            entries.push({path: entryPath, relPath: path.relative(root, entryPath), name: name, 
+                stats: stats, type: FsUtils.walkType(stats), depth: depth});
+        }
+
+        if (null !== wo.sort) {
+            entries.sort(wo.sort);
+        }
+
+        for (let entry of entries) {
+            let isDir = ('directory' === entry.type);
+            if (!wo.filter(entry.path, isDir)) {
+                continue;
+            }
+            if ((isDir && wo.dirs) || (!isDir && wo.files)) {
+                yield entry;
+            }
+            if (isDir && depth < wo.maxDepth) {
+                let id = `${entry.stats.dev}:${entry.stats.ino}`;
+                if (ancestors.includes(id)) {
+                    syslog.debug(`Symbolic link cycle at ${entry.path}, not following it.`);
+                    continue;
+                }
+                yield* FsUtils.walkDirSync(root, entry.path, depth + 1, wo, ancestors.concat([id]));
+            }
+        }
+    }
+
+    /**
+     * Hash a file.
+     * 
+     * The file is read in chunks as raw bytes, so this is safe for binary files and doesn't need
+     * to hold large files in memory.
+     * 
+     * @param   {string}    filePath                File to hash.
+     * @param   {string}    [algorithm='sha256']    Hash algorithm.
+     * @param   {number}    [chunkSize=65536]       Chunk size.
+     * @param   {object}    [fsys=null]             File system (default FsUtils.fs).
+     * 
+     * @return  {string}                            Hex digest.
+     */
+    static hashFile(filePath, algorithm = 'sha256', chunkSize = 65536, fsys = null)
+    {
+        fsys = fsys || FsUtils.fs;
+        let hash = crypto.createHash(algorithm);
+        let buf = Buffer.alloc(chunkSize);
+        let fd = fsys.openSync(filePath, 'r');
+
+        try {
+            let bytes;
+            while ((bytes = fsys.readSync(fd, buf, 0, buf.length, null)) > 0) {
+                hash.update(buf.subarray(0, bytes));
+            }
+        } finally {
+            fsys.closeSync(fd);
+        }
+
+        return hash.digest('hex');
+    }
+
+    /**
+     * See if a target file differs from its source.
+     * 
+     * @param   {string}    from        Source file.
+     * @param   {fs.Stats}  fromStats   Source stats.
+     * @param   {string}    to          Target file.
+     * @param   {string}    compare     'stats' (size and mtime) or 'hash' (size and content).
+     * 
+     * @return  {boolean}
+     */
+    static fileDiffers(from, fromStats, to, compare)
+    {
+        let toStats;
+        try {
+            toStats = FsUtils.fs.statSync(to);
+        } catch (err) {
+            return true;
+        }
+
+        if (!toStats.isFile() || toStats.size !== fromStats.size) {
+            return true;
+        }
+        if ('hash' === compare) {
+            return FsUtils.hashFile(from) !== FsUtils.hashFile(to);
+        }
+        return Math.abs(toStats.mtimeMs - fromStats.mtimeMs) >= 1;
+    }
+
+    /**
+     * Synchronise a directory.
+     * 
+     * Only copies files that differ, and copies keep the source's modification time so they
+     * compare equal next time. Options are those of fileFilter() plus the ones below. They're merged
+     * over the default of skipping dot files and dot directories (such as '.git'), so pass
+     * fileNotBeginsWith: [] to include those.
+     * 
+     * compare          'stats' (default) to compare size and mtime, or 'hash' to compare content.
+     * deleteOrphans    Delete files (and then empty directories) in the target that aren't in the
+     *                  source (default false). Files the filter excludes are left alone. Symbolic
+     *                  links in the target are never followed: orphan links are removed themselves.
+     * dryRun           Report what would happen but don't touch anything (default false).
+     * 
+     * @param   {string}    from        Directory to sync from.
+     * @param   {string}    to          Directory to sync to.
+     * @param   {object}    [opts]      Options.
+     * 
+     * @return  {object}                Report: {copied, skipped, deleted, dryRun} (relative paths).
+     * 
+     * @throws  {GfFsUtilsError}        If the source doesn't exist.
+     */
+    static syncDir(from, to, opts = {})
+    {
+        opts = Object.assign({fileNotBeginsWith: ['.'], skipPrefixedDirs: true}, opts);
+
+        if (!FsUtils.fs.existsSync(from)) {
+            throw new GfFsUtilsError(`Cannot sync from ${from} because it does not exist.`);
         }
+
+        let compare = opts.compare || 'stats';
+        let dryRun = opts.dryRun || false;
+        let report = {copied: [], skipped: [], deleted: [], dryRun: dryRun};
+        let walkOpts = Object.assign({}, opts, {sort: true, followSymlinks: true});
+
+        let wanted = new Set();
+
+        for (let entry of FsUtils.walkSync(from, walkOpts)) {
+            wanted.add(entry.relPath);
+            if ('file' !== entry.type) {
+                continue;
+            }
+
+            let toPath = path.join(to, entry.relPath);
+            if (!FsUtils.fileDiffers(entry.path, entry.stats, toPath, compare)) {
+                report.skipped.push(entry.relPath);
+                continue;
+            }
+
+            if (!dryRun) {
+                FsUtils.copyFile(entry.path, toPath);
+                FsUtils.fs.utimesSync(toPath, entry.stats.atime, entry.stats.mtime);
+            }
+            report.copied.push(entry.relPath);
+        }
+
+        if (opts.deleteOrphans && FsUtils.fs.existsSync(to)) {
+            let dirs = [];
+            // Never follow links here, or we'd delete whatever they point at.
+            let targetOpts = Object.assign({}, walkOpts, {followSymlinks: false});
+            for (let entry of FsUtils.walkSync(to, targetOpts)) {
+                if ('directory' === entry.type) {
+                    if (!wanted.has(entry.relPath)) {
+                        dirs.push(entry);
+                    }
+                } else if (!wanted.has(entry.relPath)) {
+                    if (!dryRun) {
+                        if ('symlink' === entry.type) {
+                            FsUtils.fs.unlinkSync(entry.path);
+                        } else {
+                            FsUtils.fs.rmSync(entry.path, {force: true});
+                        }
+                    }
+                    report.deleted.push(entry.relPath);
+                }
+            }
+
+            // Deepest first, so parents are empty by the time we get to them.
+            for (let entry of dirs.reverse()) {
+                let remaining = FsUtils.fs.readdirSync(entry.path).filter((name) => {
+                    return !report.deleted.includes(path.join(entry.relPath, name));
+                });
+                if (0 === remaining.length) {
+                    if (!dryRun) {
+                        FsUtils.fs.rmdirSync(entry.path);
+                    }
+                    report.deleted.push(entry.relPath);
+                }
+            }
+        }
+
+        syslog.debug(`Synced ${from} to ${to}: ${report.copied.length} copied, ${report.skipped.length} skipped, ${report.deleted.length} deleted${(dryRun) ? ' (dry run)' : ''}.`);
+
+        return report;
+    }
+
+    /**
+     * Archive a directory.
+     * 
+     * Options are those of fileFilter() plus the ones below. They're merged over the default of
+     * skipping dot files (like copyDir()), so pass fileNotBeginsWith: [] to include those.
+     * 
+     * format       'zip', 'tar' or 'tar.gz' (default from dest's extension, else 'zip').
+     * mtime        Timestamp for every entry (default SOURCE_DATE_EPOCH if set, else 1980-01-01).
+     * 
+     * Entries are sorted and get fixed timestamps and modes, so archiving the same files always
+     * gives the same bytes. Empty directories are left out. The archive is built in memory.
+     * 
+     * @param   {string}    dir         Directory to archive.
+     * @param   {string}    dest        Archive file to write.
+     * @param   {object}    [opts]      Options.
+     * 
+     * @return  {object}                {dest, format, files, size}.
+     * 
+     * @throws  {GfFsUtilsError}        If the directory doesn't exist, the format doesn't match dest's
+     *                                  extension or the archive can't be built.
+     */
+    static archiveDir(dir, dest, opts = {})
+    {
+        opts = Object.assign({fileNotBeginsWith: ['.']}, opts);
+
+        if (!FsUtils.fs.existsSync(dir)) {
+            throw new GfFsUtilsError(`Cannot archive ${dir} because it does not exist.`);
+        }
+
+        let inferred = Archive.formatFromName(dest);
+        if (opts.format && null !== inferred && opts.format !== inferred) {
+            throw new GfFsUtilsError(`Cannot archive ${dir} as ${opts.format} to ${dest}, which looks like ${inferred}.`);
+        }
+        let format = opts.format || inferred || 'zip';
+        let mtime = opts.mtime || null;
+        if (null === mtime && process.env.SOURCE_DATE_EPOCH) {
+            mtime = new Date(parseInt(process.env.SOURCE_DATE_EPOCH) * 1000);
+        }
+
+        let walkOpts = Object.assign({}, opts, {sort: true, followSymlinks: true, dirs: false});
+        let destPath = path.resolve(dest);
+
+        let files = [];
+        for (let entry of FsUtils.walkSync(dir, walkOpts)) {
+            if ('file' === entry.type && path.resolve(entry.path) !== destPath) {
+                files.push(entry);
+            }
+        }
+
+        let entries = [];
+        let dirs = new Set();
+        for (let entry of files) {
+            let name = entry.relPath.split(path.sep).join('/');
+            let parts = name.split('/');
+            for (let i = 1; i < parts.length; i++) {
+                let parent = parts.slice(0, i).join('/');
+                if (!dirs.has(parent)) {
+                    dirs.add(parent);
+                    entries.push({name: parent, dir: true});
+                }
+            }
+            entries.push({name: name, data: FsUtils.fs.readFileSync(entry.path)});
+        }
+
+        let content;
+        try {
+            content = Archive.build(entries, format, mtime);
+        } catch (err) {
+            throw new GfFsUtilsError(`Could not archive ${dir} as ${format}.`, null, err);
+        }
+
+        FsUtils.writeFile(dest, content);
+        syslog.debug(`Archived ${files.length} files from ${dir} to ${dest} (${format}, ${content.length} bytes).`);
+
+        return {dest: dest, format: format, files: files.length, size: content.length};
     }
 }
 
@@ -7,7 +7,6 @@
 'use strict';
 
 const ResourceProcessor = require('./resourceProcessor');
-const debug = require("debug")("GreenFedora-Utils:AssetProcessor");
 
 /**
  * Asset processing (base) class.
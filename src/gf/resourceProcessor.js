@@ -6,8 +6,6 @@
  */
 'use strict';
 
-const debug = require("debug")("GreenFedora-Utils:ResourceProcessor");
-
 /**
  * Resource processing (base) class.
  */
@@ -7,11 +7,7 @@
 'use strict';
 
 const { syslog } = require('../../logger');
-const GfError = require('../../gfError');
-const debug = require("debug")("GreenFedora-Utils:NunjucksShortcode");
-
-class GfNunjucksShortcodeError extends GfError {}
-
+const { GfNunjucksShortcodeError } = require('../../gfErrors');
 
 /**
  * Nunjucks shortcode class.
@@ -120,27 +116,21 @@ class NunjucksShortcode
             if (this.paired) {
                 //this.renderAsyncPaired(this._normalizeShortcodeContext(context), body(), argArray)
                 this.renderAsyncPaired(context, body(), argArray)
-                    .then(function (returnValue) {
+                    .then(returnValue => {
                         resolve(null, this.safe(returnValue));
                     })
-                    .catch(function (e) {
-                        resolve(
-                            new GfNunjucksShortcodeError(`Error with Nunjucks (paired, async) shortcode '${this.tags[0]}': ${e.message}`, null, e),
-                            null
-                        );
+                    .catch(e => {
+                        resolve(this.wrapError(e, context, 'paired, async'), null);
                     });
             } else {
                 //this.renderAsync(this._normalizeShortcodeContext(context), argArray)
                 this.renderAsync(context, argArray)
-                    .then(function (returnValue) {
+                    .then(returnValue => {
                         resolve(null, this.safe(returnValue));
                     })
-                    .catch(function (e) {
-                        resolve(
-                            new GfNunjucksShortcodeError(`Error with Nunjucks (async) shortcode '${this.tags[0]}': ${e.message}`, null, e),
-                            null
-                        );
-                    });                
+                    .catch(e => {
+                        resolve(this.wrapError(e, context, 'async'), null);
+                    });
             }
 
         } else {
@@ -156,18 +146,71 @@ class NunjucksShortcode
                 return this.safe(ret);
         
             } catch (e) {
-                throw new GfNunjucksShortcodeError(`Error with Nunjucks (std) shortcode '${this.tags[0]}': ${e.message}`, null, e);
+                throw this.wrapError(e, context, 'std');
             }
         }
 
     }
 
+    /**
+     * Get the path of the file being rendered.
+     * 
+     * Nunjucks doesn't tell shortcodes which file they're in, so override this to pull it out of
+     * the context if your templates put it there.
+     * 
+     * @param   {object}    context     Nunjucks context.
+     * 
+     * @return  {string|null}
+     */
+    getFilePath(context)
+    {
+        return null;
+    }
+
+    /**
+     * Get the source of the file being rendered.
+     * 
+     * Override this if the source is available. Otherwise the code frame is read from the file.
+     * 
+     * @param   {object}    context     Nunjucks context.
+     * 
+     * @return  {string|null}
+     */
+    getSource(context)
+    {
+        return null;
+    }
+
+    /**
+     * Wrap an error from a render.
+     * 
+     * Line and column are taken from the error if it has them (as 'line'/'column' or Nunjucks-style
+     * 'lineno'/'colno').
+     * 
+     * @param   {Error}     e           Error to wrap.
+     * @param   {object}    context     Nunjucks context.
+     * @param   {string}    type        Type of shortcode for the message.
+     * 
+     * @return  {GfNunjucksShortcodeError}
+     */
+    wrapError(e, context, type)
+    {
+        let err = new GfNunjucksShortcodeError(`Error with Nunjucks (${type}) shortcode '${this.tags[0]}': ${e.message}`, null, e);
+
+        let filePath = e.file || this.getFilePath(context);
+        if (filePath) {
+            err.setLocation(filePath, e.line || e.lineno || null, e.column || e.colno || null, this.getSource(context));
+        }
+
+        return err;
+    }
+
     /**
      * Render.
      */
     render(context, args)
     {
-        throw new NunjucksShortcodeError(`You must override the 'render' method.`)
+        throw new GfNunjucksShortcodeError(`You must override the 'render' method.`)
     }
 
     /**
@@ -175,7 +218,7 @@ class NunjucksShortcode
      */
     renderPaired(context, body, args)
     {
-        throw new NunjucksShortcodeError(`You must override the 'renderPaired' method.`)
+        throw new GfNunjucksShortcodeError(`You must override the 'renderPaired' method.`)
     }
 
     /**
@@ -183,7 +226,7 @@ class NunjucksShortcode
      */
     async renderAsync(context, args)
     {
-        throw new NunjucksShortcodeError(`You must override the 'renderAsync' method.`)
+        throw new GfNunjucksShortcodeError(`You must override the 'renderAsync' method.`)
     }
 
     /**
@@ -191,7 +234,7 @@ class NunjucksShortcode
      */
     async renderAsyncPaired(context, body, args)
     {
-        throw new NunjucksShortcodeError(`You must override the 'renderAsyncPaired' method.`)
+        throw new GfNunjucksShortcodeError(`You must override the 'renderAsyncPaired' method.`)
     }
  }
 
@@ -6,9 +6,8 @@
  */
 'use strict';
 
-const GfError = require('../../gfError');
-
-class GfPostprocessorError extends GfError {};
+const { GfPostprocessorError } = require('../../gfErrors');
+const CodeFrame = require('../../codeFrame');
 
 /**
  * Template postprocessor.
@@ -54,6 +53,77 @@ class Postprocessor
     {
         throw new GfPostprocessorError(`You must override the 'postprocessString' method.`)
     }
+
+    /**
+     * Postprocess a string, attaching the location to any error.
+     * 
+     * This calls postprocessString() and makes sure that any error thrown comes out as a
+     * GfPostprocessorError that knows the file path and, where we can tell, the line and column
+     * (so the code frame can be shown).
+     * 
+     * @param   {string}    content     Content to postprocess.
+     * @param   {string}    filePath    File path.
+     * @param   {boolean}   [rss=false] For RSS?
+     * 
+     * @return  {string}
+     * 
+     * @throws  {GfPostprocessorError}
+     */
+    postprocess(content, filePath, rss = false)
+    {
+        try {
+            return this.postprocessString(content, filePath, rss);
+        } catch (e) {
+            throw this.wrapError(e, content, filePath);
+        }
+    }
+
+    /**
+     * Create an error located at a character offset in the content.
+     * 
+     * For use by postprocessors that know where in the content things went wrong.
+     * 
+     * @param   {string}        message                 Error message.
+     * @param   {string}        content                 Content being postprocessed.
+     * @param   {string}        filePath                File path.
+     * @param   {number}        offset                  Character offset of the problem.
+     * @param   {Error|null}    [originalError=null]    Original error.
+     * 
+     * @return  {GfPostprocessorError}
+     */
+    error(message, content, filePath, offset, originalError = null)
+    {
+        let loc = CodeFrame.locate(content, offset);
+        return new GfPostprocessorError(message, null, originalError).setLocation(filePath, loc.line, loc.column, content);
+    }
+
+    /**
+     * Wrap an error so it carries the location.
+     * 
+     * Line and column are taken from the error if it has them (as 'line'/'column' or Nunjucks-style
+     * 'lineno'/'colno').
+     * 
+     * @param   {Error}     e           Error to wrap.
+     * @param   {string}    content     Content being postprocessed.
+     * @param   {string}    filePath    File path.
+     * 
+     * @return  {GfPostprocessorError}
+     */
+    wrapError(e, content, filePath)
+    {
+        let line = e.line || e.lineno || null;
+        let column = e.column || e.colno || null;
+
+        if (e instanceof GfPostprocessorError) {
+            if (!e.file) {
+                e.setLocation(filePath, line, column, content);
+            }
+            return e;
+        }
+
+        return new GfPostprocessorError(`Postprocessor '${this.name}' failed: ${e.message}`, null, e)
+            .setLocation(filePath, line, column, content);
+    }
  }
 
 module.exports = Postprocessor;
\ No newline at end of file
@@ -6,9 +6,8 @@
  */
 'use strict';
 
-const GfError = require('../../gfError');
-
-class GfPreprocessorError extends GfError {};
+const { GfPreprocessorError } = require('../../gfErrors');
+const CodeFrame = require('../../codeFrame');
 
 /**
  * Template preprocessor.
@@ -54,6 +53,77 @@ class Preprocessor
     {
         throw new GfPreprocessorError(`You must override the 'preprocessString' method.`)
     }
+
+    /**
+     * Preprocess a string, attaching the location to any error.
+     * 
+     * This calls preprocessString() and makes sure that any error thrown comes out as a
+     * GfPreprocessorError that knows the file path and, where we can tell, the line and column
+     * (so the code frame can be shown).
+     * 
+     * @param   {string}    content     Content to preprocess.
+     * @param   {string}    filePath    File path.
+     * @param   {boolean}   [rss=false] For RSS?
+     * 
+     * @return  {string}
+     * 
+     * @throws  {GfPreprocessorError}
+     */
+    preprocess(content, filePath, rss = false)
+    {
+        try {
+            return this.preprocessString(content, filePath, rss);
+        } catch (e) {
+            throw this.wrapError(e, content, filePath);
+        }
+    }
+
+    /**
+     * Create an error located at a character offset in the content.
+     * 
+     * For use by preprocessors that know where in the content things went wrong.
+     * 
+     * @param   {string}        message                 Error message.
+     * @param   {string}        content                 Content being preprocessed.
+     * @param   {string}        filePath                File path.
+     * @param   {number}        offset                  Character offset of the problem.
+     * @param   {Error|null}    [originalError=null]    Original error.
+     * 
+     * @return  {GfPreprocessorError}
+     */
+    error(message, content, filePath, offset, originalError = null)
+    {
+        let loc = CodeFrame.locate(content, offset);
+        return new GfPreprocessorError(message, null, originalError).setLocation(filePath, loc.line, loc.column, content);
+    }
+
+    /**
+     * Wrap an error so it carries the location.
+     * 
+     * Line and column are taken from the error if it has them (as 'line'/'column' or Nunjucks-style
+     * 'lineno'/'colno').
+     * 
+     * @param   {Error}     e           Error to wrap.
+     * @param   {string}    content     Content being preprocessed.
+     * @param   {string}    filePath    File path.
+     * 
+     * @return  {GfPreprocessorError}
+     */
+    wrapError(e, content, filePath)
+    {
+        let line = e.line || e.lineno || null;
+        let column = e.column || e.colno || null;
+
+        if (e instanceof GfPreprocessorError) {
+            if (!e.file) {
+                e.setLocation(filePath, line, column, content);
+            }
+            return e;
+        }
+
+        return new GfPreprocessorError(`Preprocessor '${this.name}' failed: ${e.message}`, null, e)
+            .setLocation(filePath, line, column, content);
+    }
  }
 
 module.exports = Preprocessor;
\ No newline at end of file
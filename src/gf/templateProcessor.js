@@ -6,7 +6,6 @@
  */
 'use strict';
 const ResourceProcessor = require('./resourceProcessor');
-const debug = require("debug")("GreenFedora-Utils:TemplateProcessor");
 
 /**
  * Template processing (base) class.
@@ -65,6 +64,44 @@ class TemplateProcessor extends ResourceProcessor
         return this;
     }
 
+    /**
+     * Run all the preprocessors over some content.
+     * 
+     * @param   {string}    content     Content to preprocess.
+     * @param   {string}    filePath    File path (used to locate errors).
+     * @param   {boolean}   [rss=false] For RSS?
+     * 
+     * @return  {string}
+     * 
+     * @throws  {GfPreprocessorError}
+     */
+    preprocess(content, filePath, rss = false)
+    {
+        for (let pp of this.preprocessors) {
+            content = pp.preprocess(content, filePath, rss);
+        }
+        return content;
+    }
+
+    /**
+     * Run all the postprocessors over some content.
+     * 
+     * @param   {string}    content     Content to postprocess.
+     * @param   {string}    filePath    File path (used to locate errors).
+     * @param   {boolean}   [rss=false] For RSS?
+     * 
+     * @return  {string}
+     * 
+     * @throws  {GfPostprocessorError}
+     */
+    postprocess(content, filePath, rss = false)
+    {
+        for (let pp of this.postprocessors) {
+            content = pp.postprocess(content, filePath, rss);
+        }
+        return content;
+    }
+
     /**
      * See if the passed string needs compilation.
      * 
@@ -6,29 +6,60 @@
  */
 'use strict';
 
+const fs = require('fs');
+const CodeFrame = require('./codeFrame');
+
 /**
  * Base error class.
  */
 class GfError extends Error
 {
+    /**
+     * Default error code.
+     * @member {string}
+     */
+    static code = 'GF_ERROR';
+
+    /**
+     * Registered error classes, by code.
+     * @member {object}
+     */
+    static classes = {};
+
+    /**
+     * File system getFrame() reads sources from (FsUtils.useFs() changes it).
+     * @member {object}
+     */
+    static fs = fs;
+
     /**
      * Constructor.
      * 
+     * A string context is appended to the message (as it always has been). An object context
+     * is kept separately in the 'context' property. The original error is also set as the
+     * native 'cause'.
+     * 
      * @constructor
-     * @param   {string}    message         Error message.
-     * @param   {string}    context         Context.
-     * @param   {Error}     originalError   Original error.
+     * @param   {string}            message                 Error message.
+     * @param   {object|string}     [context=null]          Context.
+     * @param   {Error}             [originalError=null]    Original error.
+     * @param   {string|null}       [code=null]             Error code (defaults to the class's code).
      * 
-     * @return  {GfError}                   New instance.
+     * @return  {GfError}                                   New instance.
      */
-    constructor(message, context, originalError) 
+    constructor(message, context = null, originalError = null, code = null) 
     {
-        super(message);
+        super(message, (originalError) ? {cause: originalError} : undefined);
         this.name = this.constructor.name;
+        this.code = code || this.constructor.code;
+        this.context = null;
 
         Error.captureStackTrace(this, this.constructor);
 
-        if (context) {
+        if (context && 'object' === typeof(context)) {
+            this.context = context;
+        } else if (context) {
+            this.context = context;
             this.message += `\n => ${context}`;
         }
 
@@ -37,6 +68,195 @@ class GfError extends Error
         }
     }
 
+    /**
+     * Attach a source location.
+     * 
+     * If the source text is passed (and we have a line) we render a code frame for it.
+     * 
+     * @param   {string}        file            Source file.
+     * @param   {number|null}   [line=null]     Line number (1-based).
+     * @param   {number|null}   [column=null]   Column number (1-based).
+     * @param   {string|null}   [source=null]   Source text.
+     * 
+     * @return  {GfError}                       Ourself, for chaining.
+     */
+    setLocation(file, line = null, column = null, source = null)
+    {
+        this.file = file;
+        this.line = line;
+        this.column = column;
+        if (null !== source && line) {
+            this.frame = CodeFrame.render(source, line, column) || null;
+        }
+        return this;
+    }
+
+    /**
+     * Get the code frame for an error.
+     * 
+     * If the error has a location but no frame we try to read the source from the file.
+     * 
+     * @param   {Error}     err             Error.
+     * @param   {object}    [fsys=null]     File system to read it from (default GfError.fs).
+     * 
+     * @return  {string|null}
+     * @static
+     */
+    static getFrame(err, fsys = null)
+    {
+        fsys = fsys || GfError.fs;
+        if (err.frame) {
+            return err.frame;
+        }
+        if (!err.file || !err.line) {
+            return null;
+        }
+        try {
+            if (fsys.existsSync(err.file) && fsys.statSync(err.file).isFile()) {
+                err.frame = CodeFrame.render(fsys.readFileSync(err.file, 'utf8'), err.line, err.column) || null;
+                return err.frame;
+            }
+        } catch (e) {
+            // Not a lot we can do.
+        }
+        return null;
+    }
+
+    /**
+     * Serialise to a plain object.
+     * 
+     * @return  {object}
+     */
+    toJSON()
+    {
+        return GfError.serialise(this);
+    }
+
+    /**
+     * Register an error class so fromJSON() can revive it.
+     * 
+     * @param   {Function}  cls         Error class (with a static 'code').
+     * 
+     * @return  {void}
+     * @static
+     */
+    static register(cls)
+    {
+        GfError.classes[cls.code] = cls;
+    }
+
+    /**
+     * Get the cause of an error.
+     * 
+     * This works with our 'originalError' and the native 'cause'.
+     * 
+     * @param   {Error}     err         Error to get the cause of.
+     * 
+     * @return  {Error|null}
+     * @static
+     */
+    static getCause(err)
+    {
+        return err.originalError || err.cause || null;
+    }
+
+    /**
+     * Serialise any error, with its full cause chain, to a plain object.
+     * 
+     * Code frames are included if the errors already have them. With frames, they're read from the
+     * source files where needed (see getFrame()), which means synchronous file reads.
+     * 
+     * @param   {Error}     err                 Error to serialise.
+     * @param   {boolean}   [stackTraces=true]  Include stack traces?
+     * @param   {boolean}   [frames=false]      Read code frames that aren't there yet?
+     * 
+     * @return  {object}
+     * @static
+     */
+    static serialise(err, stackTraces = true, frames = false)
+    {
+        if (!(err instanceof Error)) {
+            return {name: 'Error', message: String(err)};
+        }
+
+        let ret = {
+            name: err.name,
+            code: err.code || null,
+            message: err.message
+        };
+
+        if (undefined !== err.context && null !== err.context) {
+            ret.context = err.context;
+        }
+
+        if (err.file) {
+            ret.file = err.file;
+            ret.line = err.line || null;
+            ret.column = err.column || null;
+            let frame = (frames) ? GfError.getFrame(err) : err.frame;
+            if (frame) {
+                ret.frame = frame;
+            }
+        }
+
+        if (err.stack && stackTraces) {
+            ret.stack = err.stack;
+        }
+
+        let cause = GfError.getCause(err);
+        if (cause) {
+            ret.cause = GfError.serialise(cause, stackTraces, frames);
+        }
+
+        return ret;
+    }
+
+    /**
+     * Revive an error from its serialised form.
+     * 
+     * Errors that were GfErrors come back as the class registered for their code (or GfError),
+     * with their original name. Anything else comes back as a plain Error.
+     * 
+     * @param   {object|string}     obj     Serialised error (or its JSON string).
+     * 
+     * @return  {Error}
+     * @static
+     */
+    static fromJSON(obj)
+    {
+        if ('string' === typeof(obj)) {
+            obj = JSON.parse(obj);
+        }
+
+        let cause = (obj.cause) ? GfError.fromJSON(obj.cause) : null;
+
+        let err;
+        if (obj.code && 'string' === typeof(obj.code) && obj.code.startsWith('GF_')) {
+            let cls = GfError.classes[obj.code] || GfError;
+            err = new cls(obj.message, null, cause, obj.code);
+            if (undefined !== obj.context) {
+                err.context = obj.context;
+            }
+            if (obj.file) {
+                err.setLocation(obj.file, obj.line, obj.column);
+                if (obj.frame) {
+                    err.frame = obj.frame;
+                }
+            }
+        } else {
+            err = new Error(obj.message, (cause) ? {cause: cause} : undefined);
+            if (obj.code) {
+                err.code = obj.code;
+            }
+        }
+
+        err.name = obj.name;
+        if (obj.stack) {
+            err.stack = obj.stack;
+        }
+
+        return err;
+    }
 }
 
-module.exports = GfError;
\ No newline at end of file
+module.exports = GfError;
@@ -0,0 +1,65 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const GfError = require('./gfError');
+
+/*
+ * The error classes used by the various modules.
+ * 
+ * Each has a stable code that maps to an entry in the error catalogue (see errorCatalogue.js).
+ */
+
+class GfLoggerError extends GfError { static code = 'GF_LOGGER'; };
+class GfLogFormatterError extends GfError { static code = 'GF_LOG_FORMATTER'; };
+class GfLogTransportError extends GfError { static code = 'GF_LOG_TRANSPORT'; };
+class GfDiagnosticsError extends GfError { static code = 'GF_DIAGNOSTICS'; };
+class GfPathError extends GfError { static code = 'GF_PATH'; };
+class GfStringError extends GfError { static code = 'GF_STRING'; };
+class GfRegexError extends GfError { static code = 'GF_REGEX'; };
+class GfFileCacheError extends GfError { static code = 'GF_FILE_CACHE'; };
+class GfArtefactCacheError extends GfError { static code = 'GF_ARTEFACT_CACHE'; };
+class GfFsUtilsError extends GfError { static code = 'GF_FS_UTILS'; };
+class GfGlobMatcherError extends GfError { static code = 'GF_GLOB_MATCHER'; };
+class GfArchiveError extends GfError { static code = 'GF_ARCHIVE'; };
+class GfEventManagerError extends GfError { static code = 'GF_EVENT_MANAGER'; };
+class GfWatcherError extends GfError { static code = 'GF_WATCHER'; };
+class GfHtmlAttribsError extends GfError { static code = 'GF_HTML_ATTRIBS'; };
+class GfHtmlGeneratorError extends GfError { static code = 'GF_HTML_GENERATOR'; };
+class GfComplexImageError extends GfError { static code = 'GF_COMPLEX_IMAGE'; };
+class GfNunjucksShortcodeError extends GfError { static code = 'GF_NUNJUCKS_SHORTCODE'; };
+class GfPreprocessorError extends GfError { static code = 'GF_PREPROCESSOR'; };
+class GfPostprocessorError extends GfError { static code = 'GF_POSTPROCESSOR'; };
+
+const errors = {
+    GfLoggerError,
+    GfLogFormatterError,
+    GfLogTransportError,
+    GfDiagnosticsError,
+    GfPathError,
+    GfStringError,
+    GfRegexError,
+    GfFileCacheError,
+    GfArtefactCacheError,
+    GfFsUtilsError,
+    GfGlobMatcherError,
+    GfArchiveError,
+    GfEventManagerError,
+    GfWatcherError,
+    GfHtmlAttribsError,
+    GfHtmlGeneratorError,
+    GfComplexImageError,
+    GfNunjucksShortcodeError,
+    GfPreprocessorError,
+    GfPostprocessorError
+};
+
+for (let name in errors) {
+    GfError.register(errors[name]);
+}
+
+module.exports = errors;
@@ -9,13 +9,19 @@
 const path = require('path');
 const lodashset = require("lodash/set");
 const normalize = require('normalize-path');
-const GfError = require('./gfError');
-
-// Local error.
-class GfPathError extends GfError {};
+const { GfPathError } = require('./gfErrors');
 
 /**
  * Path utilities.
+ * 
+ * There are two kinds of path here:
+ * 
+ * URL paths    Always '/'-separated (also used for site-relative names such as '/assets/x.png').
+ *              The slash helpers (addLeadingSlash() etc.) and the url* methods work on these.
+ * File paths   Native file system paths, using path.sep. The fs* methods work on these.
+ * 
+ * fsToUrl() and urlToFs() convert between them relative to a base, which defaults to
+ * GfPath.basePath (set it with setBasePath()).
  */
 class GfPath
 {
@@ -26,7 +32,46 @@ class GfPath
     static basePath = null;
 
     /**
-     * Add a trailing slash to a path.
+     * Set the base path.
+     * 
+     * Any trailing separator is removed. Relative base paths are kept as they are (toRelative()
+     * and toAbsolute() treat the base as a plain prefix), while the fs/URL helpers resolve them
+     * against the current directory.
+     * 
+     * @param   {string|null}   p       Base path (null to unset it).
+     * 
+     * @return  {void}
+     * @static
+     */
+    static setBasePath(p)
+    {
+        GfPath.basePath = (null === p) ? null : GfPath.fsRemoveTrailingSep(p);
+    }
+
+    /**
+     * Get the base path to use.
+     * 
+     * @param   {string|null}   [base=null]     Explicit base path, or null for GfPath.basePath.
+     * @param   {string}        [action='use']  What we're doing (for the error message).
+     * 
+     * @return  {string}
+     * @static
+     * 
+     * @throws  {GfPathError}                   If there's no base path.
+     */
+    static getBase(base = null, action = 'use')
+    {
+        if (null === base) {
+            if (null === GfPath.basePath) {
+                throw new GfPathError(`Cannot ${action} as no base path specified.`);
+            }
+            base = GfPath.basePath;
+        }
+        return base;
+    }
+
+    /**
+     * Add a trailing slash to a URL path.
      * 
      * @param   {string}    p       Input path.
      * 
@@ -38,8 +83,8 @@ class GfPath
         if ('/' === p || '' === p) {
             return '/';
         }
-        if (path.sep !== p.charAt(p.length - 1)) {
-            return p + path.sep;
+        if (!p.endsWith('/')) {
+            return p + '/';
         }
         return p;
     }
@@ -149,7 +194,8 @@ class GfPath
      */
     static dataToObjectPath(inputPath, data, sep = path.sep)
     {
-        inputPath = GfPath.removeBothSlashes(inputPath);
+        inputPath = GfPath.removeBothSlashes(GfPath.toPosix(inputPath, sep));
+        sep = '/';
 
         let ret = {};
 
@@ -162,7 +208,8 @@ class GfPath
             return ret;
         }
 
-        lodashset(ret, inputPath.replaceAll(path.sep, '.'), data);
+        // Dots in segments nest too ('a/b.c' => a.b.c), as they always have.
+        lodashset(ret, inputPath.replaceAll(sep, '.'), data);
         return ret;
     }
 
@@ -182,6 +229,10 @@ class GfPath
     /**
      * Get a relative path from an absolute path.
      * 
+     * This strips the base as a plain prefix (so it works with relative bases too). Paths that
+     * don't start with the base are returned unchanged. Use fsToUrl() for a traversal-safe
+     * conversion.
+     * 
      * @param   {string}        inputPath       Input path.
      * @param   {string|null}   [base=null]     Base path.
      * 
@@ -190,13 +241,7 @@ class GfPath
      */
     static toRelative(inputPath, base = null)
     {
-        if (null === base) {
-            if (null === GfPath.basePath) {
-                throw new GfPathError(`Cannot convert '${inputPath}' to relative as no base path specified.`);
-            } else {
-                base = GfPath.basePath;
-            }
-        }
+        base = GfPath.getBase(base, `convert '${inputPath}' to relative`);
         if (inputPath.startsWith(base)) {
             return GfPath.addLeadingSlash(inputPath.replace(base, ''));
         }
@@ -206,6 +251,9 @@ class GfPath
     /**
      * Get an absolute path from a relative path.
      * 
+     * Paths already starting with the base are returned unchanged. This doesn't stop '..' leaving
+     * the base: use urlToFs() or fsJoin() for that.
+     * 
      * @param   {string}        inputPath       Input path.
      * @param   {string|null}   [base=null]     Base path.
      * 
@@ -214,18 +262,178 @@ class GfPath
      */
     static toAbsolute(inputPath, base = null)
     {
-        if (null === base) {
-            if (null === GfPath.basePath) {
-                throw new GfPathError(`Cannot convert '${inputPath}' to absolute as no base path specified.`);
-            } else {
-                base = GfPath.basePath;
-            }
-        }
+        base = GfPath.getBase(base, `convert '${inputPath}' to absolute`);
         if (!inputPath.startsWith(base)) {
             return GfPath.addLeadingSlash(path.join(base, inputPath));
         }
         return inputPath;
     }
+
+    /**
+     * Convert a file path's separators to '/'.
+     * 
+     * @param   {string}    p                   File path.
+     * @param   {string}    [sep=path.sep]      Separator it uses.
+     * 
+     * @return  {string}
+     * @static
+     */
+    static toPosix(p, sep = path.sep)
+    {
+        return ('/' === sep) ? p : p.split(sep).join('/');
+    }
+
+    /**
+     * Remove a trailing separator from a file path (but not from a root).
+     * 
+     * @param   {string}    p       File path.
+     * 
+     * @return  {string}
+     * @static
+     */
+    static fsRemoveTrailingSep(p)
+    {
+        while (p.length > 1 && p.endsWith(path.sep) && path.parse(p).root !== p) {
+            p = p.substring(0, p.length - 1);
+        }
+        return p;
+    }
+
+    /**
+     * Add a trailing separator to a file path.
+     * 
+     * @param   {string}    p       File path.
+     * 
+     * @return  {string}
+     * @static
+     */
+    static fsAddTrailingSep(p)
+    {
+        return (p.endsWith(path.sep)) ? p : p + path.sep;
+    }
+
+    /**
+     * See if a file path is inside (or is) a base directory.
+     * 
+     * Use this for path traversal checks: it isn't fooled by '..' or by siblings that share a
+     * prefix ('/site' vs '/site2').
+     * 
+     * @param   {string}    base        Base directory.
+     * @param   {string}    p           Path (relative ones are relative to the base).
+     * 
+     * @return  {boolean}
+     * @static
+     */
+    static isInside(base, p)
+    {
+        let rel = path.relative(path.resolve(base), path.resolve(base, p));
+        return '' === rel || (rel !== '..' && !rel.startsWith('..' + path.sep) && !path.isAbsolute(rel));
+    }
+
+    /**
+     * See if a URL path is inside (or is) a base URL path.
+     * 
+     * @param   {string}    base        Base URL path.
+     * @param   {string}    p           URL path (relative ones are relative to the base).
+     * 
+     * @return  {boolean}
+     * @static
+     */
+    static isInsideUrl(base, p)
+    {
+        let rel = path.posix.relative(path.posix.resolve('/', base), path.posix.resolve('/', base, p));
+        return '' === rel || (rel !== '..' && !rel.startsWith('../'));
+    }
+
+    /**
+     * Join file path segments onto a base, refusing to leave the base.
+     * 
+     * @param   {string}    base        Base directory.
+     * @param   {...string} segs        Segments.
+     * 
+     * @return  {string}
+     * @static
+     * 
+     * @throws  {GfPathError}           If the result would be outside the base.
+     */
+    static fsJoin(base, ...segs)
+    {
+        let joined = path.join(base, ...segs);
+        if (!GfPath.isInside(base, joined)) {
+            throw new GfPathError(`Path '${segs.join(path.sep)}' escapes the base '${base}'.`);
+        }
+        return joined;
+    }
+
+    /**
+     * Join URL path segments onto a base, refusing to leave the base.
+     * 
+     * @param   {string}    base        Base URL path.
+     * @param   {...string} segs        Segments.
+     * 
+     * @return  {string}
+     * @static
+     * 
+     * @throws  {GfPathError}           If the result would be outside the base.
+     */
+    static urlJoin(base, ...segs)
+    {
+        let joined = path.posix.join(base, ...segs);
+        if (!GfPath.isInsideUrl(base, joined)) {
+            throw new GfPathError(`URL path '${segs.join('/')}' escapes the base '${base}'.`);
+        }
+        return joined;
+    }
+
+    /**
+     * Convert a file path to a URL path relative to a base.
+     * 
+     * Relative file paths (and bases) are resolved against the current directory.
+     * 
+     * @param   {string}        p               File path.
+     * @param   {string|null}   [base=null]     Base path.
+     * 
+     * @return  {string}                        URL path with a leading slash.
+     * @static
+     * 
+     * @throws  {GfPathError}                   If there's no base or the path is outside it.
+     */
+    static fsToUrl(p, base = null)
+    {
+        base = GfPath.getBase(base, `convert '${p}' to a URL path`);
+        let resolved = path.resolve(p);
+        if (!GfPath.isInside(base, resolved)) {
+            throw new GfPathError(`Cannot convert '${p}' to a URL path because it is outside '${base}'.`);
+        }
+        return GfPath.addLeadingSlash(GfPath.toPosix(path.relative(path.resolve(base), resolved)));
+    }
+
+    /**
+     * Convert a URL path to a file path under a base.
+     * 
+     * Paths that would escape the base are refused.
+     * 
+     * @param   {string}        url             URL path.
+     * @param   {string|null}   [base=null]     Base path.
+     * @param   {boolean}       [decode=true]   Decode percent-encoding first?
+     * 
+     * @return  {string}
+     * @static
+     * 
+     * @throws  {GfPathError}                   If there's no base, the path escapes it or it's badly encoded.
+     */
+    static urlToFs(url, base = null, decode = true)
+    {
+        base = GfPath.getBase(base, `convert '${url}' to a file path`);
+        if (decode) {
+            try {
+                url = decodeURIComponent(url);
+            } catch (err) {
+                throw new GfPathError(`Cannot convert '${url}' to a file path because it is badly encoded.`, null, err);
+            }
+        }
+        return GfPath.fsJoin(base, ...url.split('/'));
+    }
 }
 
 module.exports = GfPath;
\ No newline at end of file
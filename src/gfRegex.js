@@ -6,7 +6,8 @@
  */
 'use strict';
 
-const { GfError } = require('./gfError');
+const { GfRegexError } = require('./gfErrors');
+const { syslog } = require('./logger');
 const path = require('path');
 
 /**
@@ -93,7 +94,7 @@ class GfRegex
     {
         if (typeof s != "string") {
             syslog.inspect(s);
-            throw new GfError(`regexEscape requires a string, we got a ${typeof(s)}.`);
+            throw new GfRegexError(`regexEscape requires a string, we got a ${typeof(s)}.`);
         }
         return s.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
     }
@@ -0,0 +1,374 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { GfGlobMatcherError } = require('./gfErrors');
+const GfRegex = require('./gfRegex');
+
+/**
+ * Glob matcher.
+ * 
+ * Matches relative paths (with '/' separators) against a list of globs using .gitignore rules:
+ * 
+ * **           Any number of directories (including none) when it's a whole segment.
+ * *            Anything except '/'.
+ * ?            Any single character except '/'.
+ * [abc] [a-z]  Character classes, negated with '!' or '^'.
+ * {a,b}        Alternatives (may be nested).
+ * !glob        Negation, re-including whatever earlier globs matched.
+ * glob/        Directories only.
+ * /glob        Anchored to the base. Any glob containing a '/' is anchored anyway, others match at
+ *              any depth.
+ * 
+ * A glob that matches a directory also matches everything below it, and the last glob that
+ * matches decides.
+ */
+class GlobMatcher
+{
+    /**
+     * Compiled rules.
+     * @member  {object[]}
+     */
+    rules = null;
+
+    /**
+     * Constructor.
+     * 
+     * @param   {string[]}  [globs=[]]      Globs.
+     * 
+     * @return  {GlobMatcher}
+     */
+    constructor(globs = [])
+    {
+        this.rules = [];
+        this.add(globs);
+    }
+
+    /**
+     * Add some globs.
+     * 
+     * @param   {string|string[]}   globs           Globs.
+     * @param   {string}            [base='']       Base they're relative to (relative to ours).
+     * 
+     * @return  {GlobMatcher}
+     */
+    add(globs, base = '')
+    {
+        if (!Array.isArray(globs)) {
+            globs = [globs];
+        }
+        base = GlobMatcher.normalise(base);
+        for (let glob of globs) {
+            if ('' !== glob) {
+                this.rules.push(GlobMatcher.compile(glob, base));
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Add the globs from a .gitignore-style file.
+     * 
+     * Blank lines and lines beginning with '#' are skipped, and so is unescaped trailing space.
+     * 
+     * @param   {string}    filePath        Ignore file.
+     * @param   {string}    [base='']       Base the file's globs are relative to (relative to ours).
+     * @param   {object}    [fsys=null]     File system to read it from (default the real one).
+     * 
+     * @return  {GlobMatcher}
+     * 
+     * @throws  {GfGlobMatcherError}        If the file can't be read.
+     */
+    addIgnoreFile(filePath, base = '', fsys = null)
+    {
+        let content;
+        try {
+            content = (fsys || fs).readFileSync(filePath, 'utf8');
+        } catch (err) {
+            throw new GfGlobMatcherError(`Could not read ignore file ${filePath}.`, null, err);
+        }
+
+        let globs = [];
+        for (let line of content.split(/\r?\n/)) {
+            line = line.replace(/(?<!\\)\s+$/, '');
+            if ('' === line || line.startsWith('#')) {
+                continue;
+            }
+            globs.push(line);
+        }
+
+        return this.add(globs, base);
+    }
+
+    /**
+     * See if we have any globs.
+     * 
+     * @return  {boolean}
+     */
+    get empty()
+    {
+        return 0 === this.rules.length;
+    }
+
+    /**
+     * See if a path matches.
+     * 
+     * @param   {string}    relPath         Path, relative to our base.
+     * @param   {boolean}   [isDir=false]   Is it a directory?
+     * 
+     * @return  {boolean}
+     */
+    matches(relPath, isDir = false)
+    {
+        relPath = GlobMatcher.normalise(relPath);
+        let matched = false;
+
+        for (let rule of this.rules) {
+            let test = relPath;
+            if ('' !== rule.base) {
+                if (!relPath.startsWith(rule.base + '/')) {
+                    continue;
+                }
+                test = relPath.substring(rule.base.length + 1);
+            }
+
+            let m = rule.regex.exec(test);
+            if (null !== m && (!rule.dirOnly || isDir || undefined !== m[1])) {
+                matched = !rule.negate;
+            }
+        }
+
+        return matched;
+    }
+
+    /**
+     * Normalise a path for matching: '/' separators and no leading './' or '/'.
+     * 
+     * @param   {string}    p       Path.
+     * 
+     * @return  {string}
+     * @static
+     */
+    static normalise(p)
+    {
+        p = p.split(path.sep).join('/');
+        while (p.startsWith('./')) {
+            p = p.substring(2);
+        }
+        return p.replace(/^\/+/, '').replace(/\/+$/, '');
+    }
+
+    /**
+     * Get a path relative to a root, ready for matching.
+     * 
+     * @param   {string|null}   root        Root (null for as-is).
+     * @param   {string}        p           Path.
+     * 
+     * @return  {string}
+     * @static
+     */
+    static relative(root, p)
+    {
+        return GlobMatcher.normalise((null === root) ? p : path.relative(root, p));
+    }
+
+    /**
+     * See if a path matches a single glob.
+     * 
+     * @param   {string}    relPath         Path.
+     * @param   {string}    glob            Glob.
+     * @param   {boolean}   [isDir=false]   Is it a directory?
+     * 
+     * @return  {boolean}
+     * @static
+     */
+    static match(relPath, glob, isDir = false)
+    {
+        return new GlobMatcher([glob]).matches(relPath, isDir);
+    }
+
+    /**
+     * Compile a glob to a rule.
+     * 
+     * @param   {string}    glob        Glob.
+     * @param   {string}    base        Base.
+     * 
+     * @return  {object}                {glob, base, negate, dirOnly, regex}.
+     * @static
+     */
+    static compile(glob, base)
+    {
+        let body = glob;
+
+        let negate = false;
+        if (body.startsWith('!')) {
+            negate = true;
+            body = body.substring(1);
+        } else if (body.startsWith('\\!') || body.startsWith('\\#')) {
+            body = body.substring(1);
+        }
+
+        let dirOnly = false;
+        if (body.endsWith('/')) {
+            dirOnly = true;
+            body = body.replace(/\/+$/, '');
+        }
+
+        let anchored = body.includes('/');
+        body = body.replace(/^\/+/, '');
+
+        let source = '^' + ((anchored) ? '' : '(?:.*/)?') + GlobMatcher.toRegexSource(body) + '(/.*)?$';
+
+        return {glob: glob, base: base, negate: negate, dirOnly: dirOnly, regex: new RegExp(source)};
+    }
+
+    /**
+     * Convert a glob (without negation or trailing slash) to a regex source.
+     * 
+     * @param   {string}    glob        Glob.
+     * 
+     * @return  {string}
+     * @static
+     */
+    static toRegexSource(glob)
+    {
+        let ret = '';
+        let i = 0;
+
+        while (i < glob.length) {
+            let c = glob[i];
+
+            if ('\\' === c && i + 1 < glob.length) {
+                ret += GfRegex.regexEscape(glob[i + 1]);
+                i += 2;
+            } else if ('*' === c && '*' === glob[i + 1]) {
+                let atStart = (0 === i || '/' === glob[i - 1]);
+                let next = glob[i + 2];
+                if (atStart && '/' === next) {
+                    ret += '(?:[^/]*/)*';
+                    i += 3;
+                } else if (atStart && undefined === next) {
+                    ret += '.*';
+                    i += 2;
+                } else {
+                    ret += '[^/]*';
+                    i += 2;
+                }
+            } else if ('*' === c) {
+                ret += '[^/]*';
+                i++;
+            } else if ('?' === c) {
+                ret += '[^/]';
+                i++;
+            } else if ('[' === c) {
+                let end = GlobMatcher.classEnd(glob, i);
+                if (-1 === end) {
+                    ret += '\\[';
+                    i++;
+                } else {
+                    let content = glob.substring(i + 1, end);
+                    let neg = '';
+                    if ('!' === content[0] || '^' === content[0]) {
+                        neg = '^';
+                        content = content.substring(1);
+                    }
+                    ret += '[' + neg + content.replace(/^\]/, '\\]') + ']';
+                    i = end + 1;
+                }
+            } else if ('{' === c) {
+                let alts = GlobMatcher.braceAlternatives(glob, i);
+                if (null === alts) {
+                    ret += '\\{';
+                    i++;
+                } else {
+                    ret += '(?:' + alts.parts.map(p => GlobMatcher.toRegexSource(p)).join('|') + ')';
+                    i = alts.end + 1;
+                }
+            } else {
+                ret += GfRegex.regexEscape(c);
+                i++;
+            }
+        }
+
+        return ret;
+    }
+
+    /**
+     * Find the end of a character class.
+     * 
+     * @param   {string}    glob        Glob.
+     * @param   {number}    start       Position of the '['.
+     * 
+     * @return  {number}                Position of the ']' or -1.
+     * @static
+     */
+    static classEnd(glob, start)
+    {
+        let i = start + 1;
+        if ('!' === glob[i] || '^' === glob[i]) {
+            i++;
+        }
+        if (']' === glob[i]) {
+            i++;
+        }
+        while (i < glob.length) {
+            if ('\\' === glob[i]) {
+                i += 2;
+                continue;
+            }
+            if (']' === glob[i]) {
+                return i;
+            }
+            i++;
+        }
+        return -1;
+    }
+
+    /**
+     * Split a brace group into its alternatives.
+     * 
+     * @param   {string}    glob        Glob.
+     * @param   {number}    start       Position of the '{'.
+     * 
+     * @return  {object|null}           {parts, end} or null if it isn't a valid group.
+     * @static
+     */
+    static braceAlternatives(glob, start)
+    {
+        let depth = 0;
+        let parts = [];
+        let current = '';
+
+        for (let i = start + 1; i < glob.length; i++) {
+            let c = glob[i];
+            if ('\\' === c) {
+                current += c + (glob[i + 1] || '');
+                i++;
+            } else if ('{' === c) {
+                depth++;
+                current += c;
+            } else if ('}' === c && depth > 0) {
+                depth--;
+                current += c;
+            } else if ('}' === c) {
+                parts.push(current);
+                return (parts.length > 1) ? {parts: parts, end: i} : null;
+            } else if (',' === c && 0 === depth) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += c;
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = GlobMatcher;
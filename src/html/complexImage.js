@@ -6,17 +6,14 @@
  */
 'use strict';
 
-const GfError = require('../gfError');
+const { GfComplexImageError } = require('../gfErrors');
 const { URL } = require('url');
 const path = require('path');
+const util = require('util');
 const HtmlGenerator = require('./htmlGenerator');
 const HtmlFigure = require('./htmlFigure');
 const { syslog } = require('../logger');
-const debug = require('debug')('GreenFedora-Utils:ComplexImage'),
-      debugdev = require('debug')('Dev.GreenFedora-Utils:ComplexImage');
-
-// Local error.
-class GfComplexImageError extends GfError {}; 
+const log = syslog.child({component: 'ComplexImage'});
 
 /**
  * Complex image renderer.
@@ -125,7 +122,7 @@ class ComplexImage
     qualify(raw)
     {
         if ('string' !== typeof(raw)) {
-            syslog.inspect(raw, "error", "Passed in to qualify.");
+            log.inspect(raw, "Passed in to qualify.", "error");
             throw new GfComplexImageError(`ComplexImage:qualify needs a string, you passed a ${typeof(raw)} with value '${raw}'.`);
         }
 
@@ -168,7 +165,7 @@ class ComplexImage
 
         // Lazyload check.
         if (this.lazyload && 1 === files.length) {
-            //syslog.warning(`Really small images and lazyloading is a problem. Maybe use 'simpleimg' instead: ${files[0].file}`);
+            //log.warning(`Really small images and lazyloading is a problem. Maybe use 'simpleimg' instead: ${files[0].file}`);
         }
 
         let ph = files.filter(f => f.width === this.config.placeholderWidth);
@@ -274,12 +271,12 @@ class ComplexImage
     {
         // Some debugging.
         if (null === base) {
-            debug(`Processing ComplexImage for ${src} (simple)`);
+            log.debug(`Processing ComplexImage for ${src} (simple)`);
         } else {
-            debug(`Processing ComplexImage for ${base} (complex)`);
+            log.debug(`Processing ComplexImage for ${base} (complex)`);
         }
 
-        debug(`Attribs for the render are: %O`, attribs);
+        log.debug(`Attribs for the render are: ${util.inspect(attribs)}`);
 
         // Generate an class for the image HTML.
         this.imgGen = new HtmlGenerator('img');
@@ -370,7 +367,7 @@ class ComplexImage
         // Loop for remaining attribs.
         for (let name in attribs) {
 
-            debug (`In attrib loop for name '%s' and val '%s'`, name, attribs[name]);
+            log.debug(`In attrib loop for name '${name}' and val '${attribs[name]}'`);
 
             name = name.trim();
 
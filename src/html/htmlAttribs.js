@@ -6,10 +6,7 @@
  */
 'use strict';
 
-const GfError = require('../gfError');
-
-// Local error.
-class GfHtmlAttribsError extends GfError {};
+const { GfHtmlAttribsError } = require('../gfErrors');
 
 /**
  * HTML attribs class.
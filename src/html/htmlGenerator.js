@@ -7,10 +7,7 @@
 'use strict';
 
 const HtmlAttribs = require("./htmlAttribs");
-const GfError = require('../gfError');
-
-// Local error.
-class GfHtmlGeneratorError extends GfError {};
+const { GfHtmlGeneratorError } = require('../gfErrors');
 
 /**
  * HTML generator class.
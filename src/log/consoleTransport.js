@@ -0,0 +1,44 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const LogTransport = require('./logTransport');
+
+/**
+ * Console log transport.
+ */
+class ConsoleTransport extends LogTransport
+{
+    /**
+     * Colour the output?
+     * @member {boolean}
+     */
+    colour = true;
+
+    /**
+     * Output a formatted line.
+     * 
+     * @param   {string}    line        Formatted line.
+     * @param   {object}    record      Original log record.
+     * 
+     * @return  {void}
+     */
+    output(line, record)
+    {
+        let cc = record.level;
+        if ('notice' === cc) {
+            cc = 'log';
+        }
+        if ('function' !== typeof(console[cc])) {
+            cc = 'log';
+        }
+
+        console[cc](line);
+    }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,77 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const LogTransport = require('./logTransport');
+const Diagnostics = require('../diagnostics');
+
+/**
+ * Diagnostics log transport.
+ * 
+ * Sends warnings and errors to a diagnostics collector so they end up in the end-of-build report.
+ * The 'component' and 'file' (plus 'line' and 'column') from the record's context are used for
+ * the entry's module and location.
+ */
+class DiagnosticsTransport extends LogTransport
+{
+    /**
+     * Minimum level.
+     * @member {string}
+     */
+    level = 'warn';
+
+    /**
+     * Diagnostics collector.
+     * @member {Diagnostics}
+     */
+    diagnostics = null;
+
+    /**
+     * Constructor.
+     * 
+     * @param   {Diagnostics|null}  [diagnostics=null]  Collector (defaults to the static instance).
+     * @param   {object}            [options={}]        Options: level.
+     * 
+     * @return  {DiagnosticsTransport}
+     */
+    constructor(diagnostics = null, options = {})
+    {
+        super(options);
+        this.diagnostics = diagnostics || Diagnostics.getInstance();
+    }
+
+    /**
+     * Log a record.
+     * 
+     * @param   {object}        record      Log record.
+     * @param   {LogFormatter}  formatter   Default formatter (ignored).
+     * 
+     * @return  {void}
+     */
+    log(record, formatter)
+    {
+        let severity = ('error' === record.level) ? 'error' : (('warn' === record.level) ? 'warning' : 'info');
+
+        let extra = {};
+        if (record.context && 'object' === typeof(record.context)) {
+            extra = {
+                module: record.context.component,
+                file: record.context.file,
+                line: record.context.line,
+                column: record.context.column
+            };
+        }
+
+        if (record.error) {
+            this.diagnostics.addError(record.error, severity, extra);
+        } else {
+            this.diagnostics.add({...extra, message: record.message, severity: severity});
+        }
+    }
+}
+
+module.exports = DiagnosticsTransport;
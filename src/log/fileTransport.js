@@ -0,0 +1,87 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const LogTransport = require('./logTransport');
+
+/**
+ * File log transport.
+ * 
+ * Appends each line to a file. Writes are synchronous so nothing is lost if the build dies.
+ */
+class FileTransport extends LogTransport
+{
+    /**
+     * File path.
+     * @member {string}
+     */
+    filePath = null;
+
+    /**
+     * File descriptor.
+     * @member {number|null}
+     */
+    _fd = null;
+
+    /**
+     * Constructor.
+     * 
+     * @param   {string}    filePath        Path to the log file.
+     * @param   {object}    [options={}]    Options: level, formatter.
+     * 
+     * @return  {FileTransport}
+     */
+    constructor(filePath, options = {})
+    {
+        super(options);
+        this.filePath = filePath;
+    }
+
+    /**
+     * Open the file if it's not already open.
+     * 
+     * @return  {number}                    File descriptor.
+     */
+    open()
+    {
+        if (null === this._fd) {
+            fs.mkdirSync(path.dirname(this.filePath), {recursive: true});
+            this._fd = fs.openSync(this.filePath, 'a');
+        }
+        return this._fd;
+    }
+
+    /**
+     * Output a formatted line.
+     * 
+     * @param   {string}    line        Formatted line.
+     * @param   {object}    record      Original log record.
+     * 
+     * @return  {void}
+     */
+    output(line, record)
+    {
+        fs.writeSync(this.open(), line + "\n");
+    }
+
+    /**
+     * Close the transport.
+     * 
+     * @return  {void}
+     */
+    close()
+    {
+        if (null !== this._fd) {
+            fs.closeSync(this._fd);
+            this._fd = null;
+        }
+    }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,65 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const stringify = require('json-stringify-safe');
+const LogFormatter = require('./logFormatter');
+const GfError = require('../gfError');
+const ErrorCatalogue = require('../errorCatalogue');
+
+/**
+ * JSON Lines log formatter.
+ * 
+ * Each record is output as a single line of JSON so CI tools can parse it. Exceptions go in the
+ * 'error' field, serialised with their full cause chain, and any help from the error catalogue
+ * goes in the 'help' field.
+ */
+class JsonFormatter extends LogFormatter
+{
+    /**
+     * Does this formatter produce structured output?
+     * @member {boolean}
+     */
+    structured = true;
+
+    /**
+     * Include code frames for errors with a location (read from their source files)?
+     * @member {boolean}
+     */
+    frames = true;
+
+    /**
+     * Format a record.
+     * 
+     * @param   {object}    record          Log record.
+     * @param   {boolean}   [colour=false]  Ignored: we never colour JSON.
+     * 
+     * @return  {string}
+     */
+    format(record, colour = false)
+    {
+        let out = {
+            timestamp: record.timestamp,
+            level: record.level,
+            message: String(record.message),
+            indent: record.indent || 0,
+            context: (undefined === record.context) ? null : record.context
+        };
+
+        if (record.error) {
+            out.error = GfError.serialise(record.error, false !== record.stackTraces, this.frames);
+            let help = ErrorCatalogue.forError(record.error);
+            if (help) {
+                out.help = help;
+            }
+        }
+
+        return stringify(out);
+    }
+}
+
+module.exports = JsonFormatter;
@@ -0,0 +1,48 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const { GfLogFormatterError } = require('../gfErrors');
+
+/**
+ * Log formatter (base) class.
+ * 
+ * A formatter turns a log record into a single string for output. Records look like this:
+ * 
+ * {
+ *      timestamp:      ISO timestamp string,
+ *      level:          'error'|'warn'|'log'|'notice'|'info'|'debug'|'trace',
+ *      message:        The message string,
+ *      indent:         Indent level,
+ *      context:        Context object (or null),
+ *      error:          Exception object (or absent),
+ *      stackTraces:    Do we want stack traces (only with error)?
+ * }
+ */
+class LogFormatter
+{
+    /**
+     * Does this formatter produce structured output?
+     * @member {boolean}
+     */
+    structured = false;
+
+    /**
+     * Format a record.
+     * 
+     * @param   {object}    record          Log record.
+     * @param   {boolean}   [colour=false]  Colour the output if we can?
+     * 
+     * @return  {string}
+     */
+    format(record, colour = false)
+    {
+        throw new GfLogFormatterError(`You must override the 'format' method.`);
+    }
+}
+
+module.exports = LogFormatter;
@@ -0,0 +1,94 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const { GfLogTransportError } = require('../gfErrors');
+
+/**
+ * Log transport (base) class.
+ * 
+ * A transport is a sink for log records. Each has its own minimum level and may have its own
+ * formatter. If it doesn't, the logger's formatter is used.
+ */
+class LogTransport
+{
+    /**
+     * Minimum level.
+     * @member {string}
+     */
+    level = 'trace';
+
+    /**
+     * Formatter.
+     * @member {LogFormatter|string|null}
+     */
+    formatter = null;
+
+    /**
+     * Colour the output?
+     * @member {boolean}
+     */
+    colour = false;
+
+    /**
+     * Constructor.
+     * 
+     * @param   {object}    [options={}]    Options: level, formatter, colour.
+     * 
+     * @return  {LogTransport}
+     */
+    constructor(options = {})
+    {
+        if (options.level) {
+            this.level = options.level;
+        }
+        if (options.formatter) {
+            this.formatter = options.formatter;
+        }
+        if (undefined !== options.colour) {
+            this.colour = options.colour;
+        }
+    }
+
+    /**
+     * Log a record.
+     * 
+     * @param   {object}        record      Log record.
+     * @param   {LogFormatter}  formatter   Default formatter (from the logger).
+     * 
+     * @return  {void}
+     */
+    log(record, formatter)
+    {
+        let f = this.formatter || formatter;
+        this.output(f.format(record, this.colour), record);
+    }
+
+    /**
+     * Output a formatted line.
+     * 
+     * @param   {string}    line        Formatted line.
+     * @param   {object}    record      Original log record.
+     * 
+     * @return  {void}
+     */
+    output(line, record)
+    {
+        throw new GfLogTransportError(`You must override the 'output' method.`);
+    }
+
+    /**
+     * Close the transport.
+     * 
+     * @return  {void}
+     */
+    close()
+    {
+    }
+}
+
+module.exports = LogTransport;
@@ -0,0 +1,105 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const LogTransport = require('./logTransport');
+
+/**
+ * In-memory log transport.
+ * 
+ * Keeps the most recent records in a bounded ring buffer. Handy for tests.
+ */
+class MemoryTransport extends LogTransport
+{
+    /**
+     * Maximum number of records to keep (0 = unlimited).
+     * @member {number}
+     */
+    limit = 1000;
+
+    /**
+     * Records.
+     * @member {object[]}
+     */
+    _records = [];
+
+    /**
+     * Constructor.
+     * 
+     * @param   {object}    [options={}]    Options: limit, level, formatter.
+     * 
+     * @return  {MemoryTransport}
+     */
+    constructor(options = {})
+    {
+        super(options);
+        if (undefined !== options.limit) {
+            this.limit = options.limit;
+        }
+    }
+
+    /**
+     * Output a formatted line.
+     * 
+     * @param   {string}    line        Formatted line.
+     * @param   {object}    record      Original log record.
+     * 
+     * @return  {void}
+     */
+    output(line, record)
+    {
+        this._records.push({...record, formatted: line});
+        if (this.limit > 0 && this._records.length > this.limit) {
+            this._records.splice(0, this._records.length - this.limit);
+        }
+    }
+
+    /**
+     * Get the records.
+     * 
+     * @return  {object[]}
+     */
+    get records()
+    {
+        return this._records.slice();
+    }
+
+    /**
+     * Get the formatted lines.
+     * 
+     * @return  {string[]}
+     */
+    get lines()
+    {
+        return this._records.map(r => r.formatted);
+    }
+
+    /**
+     * Get the records and clear them.
+     * 
+     * @return  {object[]}
+     */
+    drain()
+    {
+        let ret = this._records;
+        this._records = [];
+        return ret;
+    }
+
+    /**
+     * Clear the records.
+     * 
+     * @return  {MemoryTransport}
+     */
+    clear()
+    {
+        this._records = [];
+        return this;
+    }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,167 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const FileTransport = require('./fileTransport');
+
+/**
+ * Rotating file log transport.
+ * 
+ * Rotates by size (maxSize bytes, keeping maxFiles old files as 'name.1', 'name.2' ...) and/or by
+ * date (period 'daily' or 'hourly', writing to 'name-YYYY-MM-DD.ext' or 'name-YYYY-MM-DD-HH.ext').
+ */
+class RotatingFileTransport extends FileTransport
+{
+    /**
+     * Base file path.
+     * @member {string}
+     */
+    basePath = null;
+
+    /**
+     * Maximum size in bytes (0 = no size rotation).
+     * @member {number}
+     */
+    maxSize = 0;
+
+    /**
+     * Maximum number of rotated files to keep.
+     * @member {number}
+     */
+    maxFiles = 5;
+
+    /**
+     * Rotation period.
+     * @member {'daily'|'hourly'|null}
+     */
+    period = null;
+
+    /**
+     * Current size.
+     * @member {number}
+     */
+    _size = 0;
+
+    /**
+     * Constructor.
+     * 
+     * @param   {string}    filePath        Path to the log file.
+     * @param   {object}    [options={}]    Options: maxSize, maxFiles, period, level, formatter.
+     * 
+     * @return  {RotatingFileTransport}
+     */
+    constructor(filePath, options = {})
+    {
+        super(filePath, options);
+        this.basePath = filePath;
+        if (options.maxSize) {
+            this.maxSize = options.maxSize;
+        }
+        if (options.maxFiles) {
+            this.maxFiles = options.maxFiles;
+        }
+        if (options.period) {
+            this.period = options.period;
+        }
+        this.filePath = this.periodPath();
+    }
+
+    /**
+     * Get the file path for the current period.
+     * 
+     * @return  {string}
+     */
+    periodPath()
+    {
+        if (!this.period) {
+            return this.basePath;
+        }
+
+        let stamp = new Date().toISOString();
+        stamp = ('hourly' === this.period) 
+            ? stamp.substring(0, 13).replace('T', '-') 
+            : stamp.substring(0, 10);
+
+        let ext = path.extname(this.basePath);
+        return path.join(path.dirname(this.basePath), `${path.basename(this.basePath, ext)}-${stamp}${ext}`);
+    }
+
+    /**
+     * Open the file if it's not already open.
+     * 
+     * @return  {number}                    File descriptor.
+     */
+    open()
+    {
+        if (null === this._fd) {
+            super.open();
+            this._size = fs.fstatSync(this._fd).size;
+        }
+        return this._fd;
+    }
+
+    /**
+     * Rotate by size.
+     * 
+     * @return  {void}
+     */
+    rotate()
+    {
+        this.close();
+
+        let oldest = `${this.filePath}.${this.maxFiles}`;
+        if (fs.existsSync(oldest)) {
+            fs.unlinkSync(oldest);
+        }
+
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            let from = `${this.filePath}.${i}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${this.filePath}.${i + 1}`);
+            }
+        }
+
+        if (fs.existsSync(this.filePath)) {
+            fs.renameSync(this.filePath, `${this.filePath}.1`);
+        }
+    }
+
+    /**
+     * Output a formatted line.
+     * 
+     * @param   {string}    line        Formatted line.
+     * @param   {object}    record      Original log record.
+     * 
+     * @return  {void}
+     */
+    output(line, record)
+    {
+        if (this.period) {
+            let current = this.periodPath();
+            if (current !== this.filePath) {
+                this.close();
+                this.filePath = current;
+            }
+        }
+
+        let data = line + "\n";
+        let len = Buffer.byteLength(data);
+
+        this.open();
+        if (this.maxSize > 0 && this._size > 0 && this._size + len > this.maxSize) {
+            this.rotate();
+            this.open();
+        }
+
+        fs.writeSync(this._fd, data);
+        this._size += len;
+    }
+}
+
+module.exports = RotatingFileTransport;
@@ -0,0 +1,52 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const LogTransport = require('./logTransport');
+
+/**
+ * Stream log transport.
+ * 
+ * Writes each line to any writable stream.
+ */
+class StreamTransport extends LogTransport
+{
+    /**
+     * Stream.
+     * @member {stream.Writable}
+     */
+    stream = null;
+
+    /**
+     * Constructor.
+     * 
+     * @param   {stream.Writable}   stream          Stream to write to.
+     * @param   {object}            [options={}]    Options: level, formatter, colour.
+     * 
+     * @return  {StreamTransport}
+     */
+    constructor(stream, options = {})
+    {
+        super(options);
+        this.stream = stream;
+    }
+
+    /**
+     * Output a formatted line.
+     * 
+     * @param   {string}    line        Formatted line.
+     * @param   {object}    record      Original log record.
+     * 
+     * @return  {void}
+     */
+    output(line, record)
+    {
+        this.stream.write(line + "\n");
+    }
+}
+
+module.exports = StreamTransport;
@@ -0,0 +1,223 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const kleur = require('kleur');
+const util = require('util');
+const LogFormatter = require('./logFormatter');
+const GfError = require('../gfError');
+const ErrorCatalogue = require('../errorCatalogue');
+
+/**
+ * Text log formatter.
+ * 
+ * This gives us the traditional '[GreenFedora:level] message' lines.
+ */
+class TextFormatter extends LogFormatter
+{
+    /**
+     * Message colours.
+     * @member {object}
+     */
+    cols = {
+        trace: "gray",
+        debug: "blue",
+        info: "green",
+        log: "cyan",
+        notice: "reset",
+        warn: "red",
+        error: ["bold", "red"]
+    };
+
+    /**
+     * Format a record.
+     * 
+     * @param   {object}    record          Log record.
+     * @param   {boolean}   [colour=false]  Colour the output?
+     * 
+     * @return  {string}
+     */
+    format(record, colour = false)
+    {
+        let blocks = [];
+        let context = record.context;
+        let tag = `[GreenFedora:${record.level}]`;
+
+        // A component (from child loggers) goes in the tag.
+        if (context && 'object' === typeof(context) && context.component) {
+            tag = `[GreenFedora:${record.level}:${context.component}]`;
+            context = {...context};
+            delete context.component;
+        }
+
+        let ctx = this.contextString(context);
+
+        if (record.error) {
+            blocks = this.exceptionBlocks(record.error, record.stackTraces);
+            if (ctx) {
+                // The logger's context goes straight after the exception's own message.
+                blocks.splice(1, 0, {text: `=> ${ctx}`, indent: 0});
+            }
+        } else {
+            let msg = String(record.message);
+            if (ctx) {
+                msg += `\n => ${ctx}`;
+            }
+            blocks.push({text: msg, indent: record.indent || 0});
+        }
+
+        let ret = blocks.map(block => {
+            let msg = block.text;
+            if (block.indent > 0) {
+                msg = msg.split("\n").map(line => "  ".repeat(block.indent) + line).join("\n");
+            }
+            return `${tag} ${msg.split("\n").join("\n" + tag)}`;
+        }).join("\n");
+
+        if (colour) {
+            ret = this.colourise(ret, record.level);
+        }
+
+        return ret;
+    }
+
+    /**
+     * Convert a context to a string.
+     * 
+     * @param   {any}       context         Context.
+     * 
+     * @return  {string}                    Context string, maybe empty.
+     */
+    contextString(context)
+    {
+        if (null === context || undefined === context || '' === context) {
+            return '';
+        }
+        if ('object' !== typeof(context)) {
+            return String(context);
+        }
+        if (0 === Object.keys(context).length) {
+            return '';
+        }
+        return util.inspect(context, {depth: 2, breakLength: Infinity});
+    }
+
+    /**
+     * Get the text blocks for an exception.
+     * 
+     * The hint from the error catalogue (if there is one) goes at the end.
+     * 
+     * @param   {Error}     ex                  Exception.
+     * @param   {boolean}   [stackTraces=true]  Do we want stack traces?
+     * 
+     * @return  {object[]}                      Array of {text, indent}.
+     */
+    exceptionBlocks(ex, stackTraces = true)
+    {
+        let blocks = [];
+
+        blocks.push({text: `==> ${ex.name} Exception: ${ex.message}`, indent: 0});
+
+        if (ex.context && 'object' === typeof(ex.context)) {
+            blocks.push({text: ` => ${this.contextString(ex.context)}`, indent: 0});
+        }
+
+        if (ex.file) {
+            blocks.push(...this.locationBlocks(ex, 0));
+        }
+
+        if (ex.stack && stackTraces) {
+            blocks.push({text: ex.stack.split("\n").slice(1).join("\n"), indent: 0});
+        }
+
+        let orig = GfError.getCause(ex);
+        let indent = 2;
+
+        while (orig) {
+            blocks.push({text: `\n==> A previous exception of type '${orig.name}' was encountered: ${orig.message}`, 
+                indent: indent});
+
+            if (orig.file) {
+                blocks.push(...this.locationBlocks(orig, indent));
+            }
+
+            if (orig.stack && stackTraces) {
+                blocks.push({text: orig.stack.split('\n').slice(1).join("\n"), indent: indent});
+            }
+
+            orig = GfError.getCause(orig);
+            if (orig) {
+                indent++;
+            }
+        }
+
+        let help = ErrorCatalogue.forError(ex);
+        if (help) {
+            blocks.push({text: `==> ${ErrorCatalogue.hint(help)}`, indent: 0});
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Get the text blocks for an error's location and code frame.
+     * 
+     * @param   {Error}     ex          Exception with a file.
+     * @param   {number}    indent      Indent level.
+     * 
+     * @return  {object[]}              Array of {text, indent}.
+     */
+    locationBlocks(ex, indent)
+    {
+        let text = `==> At ${this.locationString(ex)}`;
+        let frame = GfError.getFrame(ex);
+        if (frame) {
+            text += "\n" + frame.split("\n").map(line => "  " + line).join("\n");
+        }
+        return [{text: text, indent: indent}];
+    }
+
+    /**
+     * Get a location string for an error.
+     * 
+     * @param   {Error}     ex          Exception with a file (and maybe line and column).
+     * 
+     * @return  {string}
+     */
+    locationString(ex)
+    {
+        let ret = ex.file;
+        if (ex.line) {
+            ret += `:${ex.line}`;
+            if (ex.column) {
+                ret += `:${ex.column}`;
+            }
+        }
+        return ret;
+    }
+
+    /**
+     * Colour a string for a given level.
+     * 
+     * @param   {string}    msg         Message.
+     * @param   {string}    level       Message level.
+     * 
+     * @return  {string}
+     */
+    colourise(msg, level)
+    {
+        if (!this.cols[level]) {
+            return msg;
+        }
+        if (Array.isArray(this.cols[level])) {
+            return kleur[this.cols[level][0]]()[this.cols[level][1]](msg);
+        }
+        return kleur[this.cols[level]](msg);
+    }
+}
+
+module.exports = TextFormatter;
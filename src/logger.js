@@ -6,8 +6,16 @@
  */
 'use strict';
 
-const kleur = require('kleur');
 const util = require('util');
+const { GfLoggerError } = require('./gfErrors');
+const TextFormatter = require('./log/textFormatter');
+const JsonFormatter = require('./log/jsonFormatter');
+const ConsoleTransport = require('./log/consoleTransport');
+const FileTransport = require('./log/fileTransport');
+const RotatingFileTransport = require('./log/rotatingFileTransport');
+const StreamTransport = require('./log/streamTransport');
+const MemoryTransport = require('./log/memoryTransport');
+const DiagnosticsTransport = require('./log/diagnosticsTransport');
 
 /**
  * Logger class.
@@ -22,28 +30,90 @@ class Logger {
 
     /**
      * Buffer.
-     * @member {string[]}
+     * @member {MemoryTransport}
      */
-    _buffer = [];
+    _buffer = new MemoryTransport({limit: 0});
 
     /**
-     * Log level.
-     * @member {string}
+     * Transports.
+     * @member {LogTransport[]}
+     */
+    _transports = [];
+
+    /**
+     * Log level (null for children inheriting their parent's level).
+     * @member {string|null}
      */
     _level = 'log';
 
     /**
-     * Message colours.
+     * Parent logger (for children).
+     * @member {Logger|null}
+     */
+    _parent = null;
+
+    /**
+     * Bound context (for children).
+     * @member {object}
+     */
+    _context = {};
+
+    /**
+     * Namespace (for children).
+     * @member {string|null}
+     */
+    _namespace = null;
+
+    /**
+     * Per-namespace level overrides (root only).
+     * @member {object}
+     */
+    _namespaceLevels = {};
+
+    /**
+     * Dedupe window in milliseconds (0 = off, Infinity = once per run) (root only).
+     * @member {number}
+     */
+    _dedupeWindow = 0;
+
+    /**
+     * Levels we dedupe (root only).
+     * @member {string[]}
+     */
+    _dedupeLevels = ['warn'];
+
+    /**
+     * Repeated message tracking (root only).
+     * @member {Map}
+     */
+    _repeats = new Map();
+
+    /**
+     * Formatter.
+     * @member {LogFormatter}
+     */
+    _formatter = null;
+
+    /**
+     * Named formatters.
      * @member {object}
      */
-    _cols = {
-        trace: "gray",
-        debug: "blue",
-        info: "green",
-        log: "cyan",
-        notice: "reset",
-        warn: "red",
-        error: ["bold", "red"]
+    static formatters = {
+        text: TextFormatter,
+        json: JsonFormatter
+    };
+
+    /**
+     * Named transports.
+     * @member {object}
+     */
+    static transportTypes = {
+        console: ConsoleTransport,
+        file: FileTransport,
+        rotatingFile: RotatingFileTransport,
+        stream: StreamTransport,
+        memory: MemoryTransport,
+        diagnostics: DiagnosticsTransport
     };
 
     /**
@@ -64,35 +134,347 @@ class Logger {
     /**
      * Constructor
      * 
-     * @param   {string}    [level='log']   Log level.
+     * @param   {string}                    [level='log']       Log level.
+     * @param   {LogFormatter|string|null}  [formatter=null]    Formatter (or 'text'/'json').
+     * @param   {LogTransport[]|null}       [transports=null]   Transports (default is just the console).
+     * @param   {Logger|null}               [parent=null]       Parent (for children, see child()).
      * 
      * @return  {Logger}
      */
-    constructor(level = 'log')
+    constructor(level = 'log', formatter = null, transports = null, parent = null)
     {
+        if (null !== parent) {
+            // Children use their parent's formatter and the root's transports, so get no defaults.
+            this._parent = parent;
+            this._level = level;
+            this._formatter = formatter;
+            this._transports = null;
+            this._levels = parent._levels;
+            return;
+        }
+
         this._level = level;
+        this.setFormatter(formatter || 'text');
+        this.setTransports(transports || [new ConsoleTransport()]);
     }
 
     /**
      * Static logger.
      * 
-     * @param   {string}    [level='log']   Log level.
+     * @param   {string}                    [level='log']       Log level.
+     * @param   {LogFormatter|string|null}  [formatter=null]    Formatter (or 'text'/'json').
      * 
-     * @return  {Logger}                    Static logger.
+     * @return  {Logger}                                        Static logger.
      * @static
      */
-    static syslog(level = 'log')
+    static syslog(level = 'log', formatter = null)
     {
         if (null === Logger._syslog) {
-            Logger._syslog = new Logger(level);
+            Logger._syslog = new Logger(level, formatter);
+            if (process.env.GF_LOG_LEVELS) {
+                Logger._syslog.setNamespaceLevels(process.env.GF_LOG_LEVELS);
+            }
         }
         return Logger._syslog;
     }
 
+    /**
+     * Create a child logger.
+     * 
+     * The child adds the given context to every message it logs. It inherits its parent's level,
+     * formatter and transports. If the context has a 'component' that becomes the child's namespace,
+     * which can have its own level (see setNamespaceLevels()).
+     * 
+     * @param   {object}    [context={}]    Context to bind, e.g. {component: 'ComplexImage', file: 'x.md'}.
+     * 
+     * @return  {Logger}                    Child logger.
+     */
+    child(context = {})
+    {
+        let c = new Logger(null, null, null, this);
+        c._context = {...this._context, ...context};
+        c._namespace = context.component || this._namespace;
+        return c;
+    }
+
+    /**
+     * Get the root logger.
+     * 
+     * @return  {Logger}
+     */
+    get root()
+    {
+        return (null === this._parent) ? this : this._parent.root;
+    }
+
+    /**
+     * Get the namespace.
+     * 
+     * @return  {string|null}
+     */
+    get namespace()
+    {
+        return this._namespace;
+    }
+
+    /**
+     * Get the bound context.
+     * 
+     * @return  {object}
+     */
+    get context()
+    {
+        return this._context;
+    }
+
+    /**
+     * Set per-namespace level overrides.
+     * 
+     * These can be passed as an object or a string like 'ComplexImage=trace,FileCache=warn', which
+     * is the format of the GF_LOG_LEVELS environment variable.
+     * 
+     * @param   {object|string}     spec    Namespace levels.
+     * 
+     * @return  {Logger}
+     * 
+     * @throws  {GfLoggerError}             If a level is invalid.
+     */
+    setNamespaceLevels(spec)
+    {
+        if ('string' === typeof(spec)) {
+            let parsed = {};
+            for (let item of spec.split(',')) {
+                item = item.trim();
+                if ('' === item) {
+                    continue;
+                }
+                let [ns, lvl] = item.split('=').map(p => p.trim());
+                parsed[ns] = lvl;
+            }
+            spec = parsed;
+        }
+
+        for (let ns in spec) {
+            if (undefined === this._levels[spec[ns]]) {
+                throw new GfLoggerError(`Invalid log level '${spec[ns]}' for namespace '${ns}'.`);
+            }
+        }
+
+        this.root._namespaceLevels = {...this.root._namespaceLevels, ...spec};
+        return this;
+    }
+
+    /**
+     * Get the effective level.
+     * 
+     * @return  {string}
+     */
+    getLevel()
+    {
+        if (this._namespace && this.root._namespaceLevels[this._namespace]) {
+            return this.root._namespaceLevels[this._namespace];
+        }
+        if (null !== this._level) {
+            return this._level;
+        }
+        return this._parent.getLevel();
+    }
+
+    /**
+     * Configure the logger.
+     * 
+     * This is the way to set up syslog at startup, for example:
+     * 
+     * syslog.configure({
+     *      level: 'info',
+     *      formatter: 'json',
+     *      transports: [
+     *          {type: 'console', level: 'warn'},
+     *          {type: 'rotatingFile', path: '_logs/build.log', maxSize: 1048576, formatter: 'text'}
+     *      ]
+     * });
+     * 
+     * Transports may be given as transport objects or as specs like those above.
+     * 
+     * Per-namespace levels can be set with the 'namespaces' option (see setNamespaceLevels()).
+     * 
+     * @param   {object}    [options={}]    Options: level, formatter, transports, namespaces.
+     * 
+     * @return  {Logger}
+     */
+    configure(options = {})
+    {
+        if (options.level) {
+            this.setLevel(options.level);
+        }
+        if (options.formatter) {
+            this.setFormatter(options.formatter);
+        }
+        if (options.transports) {
+            this.setTransports(options.transports);
+        }
+        if (options.namespaces) {
+            this.setNamespaceLevels(options.namespaces);
+        }
+        return this;
+    }
+
+    /**
+     * Create a transport from a spec.
+     * 
+     * @param   {object}    spec            Spec: type plus the transport's options. File transports take
+     *                                      'path', stream transports take 'stream' and diagnostics
+     *                                      transports may take 'diagnostics'.
+     * 
+     * @return  {LogTransport}
+     * 
+     * @throws  {GfLoggerError}             If the type is unknown.
+     */
+    static createTransport(spec)
+    {
+        let tc = Logger.transportTypes[spec.type];
+        if (!tc) {
+            throw new GfLoggerError(`Unknown log transport type '${spec.type}'.`);
+        }
+
+        let opts = {...spec};
+        delete opts.type;
+
+        if ('file' === spec.type || 'rotatingFile' === spec.type) {
+            return new tc(spec.path, opts);
+        } else if ('stream' === spec.type) {
+            return new tc(spec.stream, opts);
+        } else if ('diagnostics' === spec.type) {
+            return new tc(spec.diagnostics || null, opts);
+        }
+        return new tc(opts);
+    }
+
+    /**
+     * Add a transport.
+     * 
+     * @param   {LogTransport|object}   transport   Transport object or spec.
+     * 
+     * @return  {LogTransport}                      The transport added.
+     */
+    addTransport(transport)
+    {
+        if (null !== this._parent) {
+            return this.root.addTransport(transport);
+        }
+        if (!('function' === typeof(transport.log))) {
+            transport = Logger.createTransport(transport);
+        }
+        if ('string' === typeof(transport.formatter)) {
+            if (!Logger.formatters[transport.formatter]) {
+                throw new GfLoggerError(`Unknown log formatter '${transport.formatter}'.`);
+            }
+            transport.formatter = new Logger.formatters[transport.formatter]();
+        }
+        this._transports.push(transport);
+        return transport;
+    }
+
+    /**
+     * Remove a transport.
+     * 
+     * @param   {LogTransport}  transport   Transport to remove.
+     * 
+     * @return  {boolean}                   True if it was removed.
+     */
+    removeTransport(transport)
+    {
+        if (null !== this._parent) {
+            return this.root.removeTransport(transport);
+        }
+        let idx = this._transports.indexOf(transport);
+        if (-1 === idx) {
+            return false;
+        }
+        this._transports.splice(idx, 1);
+        return true;
+    }
+
+    /**
+     * Set the transports.
+     * 
+     * @param   {Array<LogTransport|object>}    transports  Transport objects or specs.
+     * 
+     * @return  {LogTransport[]}                            Old transports.
+     */
+    setTransports(transports)
+    {
+        if (null !== this._parent) {
+            return this.root.setTransports(transports);
+        }
+        let saved = this._transports;
+        this._transports = [];
+        for (let t of transports) {
+            this.addTransport(t);
+        }
+        return saved;
+    }
+
+    /**
+     * Get the transports.
+     * 
+     * @return  {LogTransport[]}
+     */
+    get transports()
+    {
+        return this.root._transports;
+    }
+
+    /**
+     * Close all transports.
+     * 
+     * @return  {void}
+     */
+    close()
+    {
+        for (let t of this.root._transports) {
+            t.close();
+        }
+    }
+
+    /**
+     * Set the formatter.
+     * 
+     * @param   {LogFormatter|string}   formatter       Formatter object or name of a formatter ('text' or 'json').
+     * 
+     * @return  {LogFormatter|null}                     Old formatter.
+     * 
+     * @throws  {GfLoggerError}                         If the formatter name is unknown.
+     */
+    setFormatter(formatter)
+    {
+        if ('string' === typeof(formatter)) {
+            if (!Logger.formatters[formatter]) {
+                throw new GfLoggerError(`Unknown log formatter '${formatter}'.`);
+            }
+            formatter = new Logger.formatters[formatter]();
+        }
+        let saved = this._formatter;
+        this._formatter = formatter;
+        return saved;
+    }
+
+    /**
+     * Get the formatter.
+     * 
+     * @return  {LogFormatter}
+     */
+    get formatter()
+    {
+        return this._formatter || this._parent.formatter;
+    }
+
     /**
      * Set the level.
      * 
-     * @param   {string}    level           Log level.
+     * On a child, setting null makes it inherit its parent's level again.
+     * 
+     * @param   {string|null}   level       Log level.
      * 
      * @return  {string}                    Old level.
      */
@@ -137,19 +519,148 @@ class Logger {
      */
     buffer(msg, lvl = 'notice')
     {
-        this._buffer.push({message: msg, level: lvl});
+        this.root._buffer.log(this.createRecord(msg, lvl), this.formatter);
         return this;
     }
 
     /**
      * Close the buffer.
      * 
-     * @return  {string}                                                The stream.
+     * With aggregate, identical messages (same message and level) are collapsed into a single
+     * entry with a count of how many times they were buffered.
+     * 
+     * @param   {boolean}   [aggregate=false]                           Aggregate identical messages?
+     * 
+     * @return  {object[]}                                              Buffered messages as {message, level}
+     *                                                                  (plus count if aggregated).
+     */
+    bufferClose(aggregate = false)
+    {
+        let records = this.root._buffer.drain();
+
+        if (!aggregate) {
+            return records.map(r => {
+                return {message: r.message, level: r.level};
+            });
+        }
+
+        let agg = new Map();
+        for (let r of records) {
+            let key = `${r.level}:${r.message}`;
+            if (agg.has(key)) {
+                agg.get(key).count++;
+            } else {
+                agg.set(key, {message: r.message, level: r.level, count: 1});
+            }
+        }
+        return Array.from(agg.values());
+    }
+
+    /**
+     * Set up deduplication.
+     * 
+     * Once a message has been output, identical messages at the given levels are suppressed until the
+     * window has passed. Suppressed messages are counted and summariseRepeats() will report them.
+     * 
+     * @param   {number}    window              Window in milliseconds (0 = off, Infinity = once per run).
+     * @param   {string[]}  [levels=['warn']]   Levels to dedupe.
+     * 
+     * @return  {Logger}
+     */
+    setDedupe(window, levels = ['warn'])
+    {
+        this.root._dedupeWindow = window;
+        this.root._dedupeLevels = levels;
+        return this;
+    }
+
+    /**
+     * Track a message and see if we should output it.
+     * 
+     * @param   {string}    key         Key for the message.
+     * @param   {string}    msg         Message.
+     * @param   {string}    level       Message level.
+     * @param   {number}    window      Window in milliseconds.
+     * 
+     * @return  {boolean}               True if we should output it.
+     */
+    track(key, msg, level, window)
+    {
+        let repeats = this.root._repeats;
+        let now = Date.now();
+
+        if (!repeats.has(key)) {
+            repeats.set(key, {message: msg, level: level, count: 1, suppressed: 0, lastOutput: now});
+            return true;
+        }
+
+        let item = repeats.get(key);
+        item.count++;
+
+        if (now - item.lastOutput >= window) {
+            item.lastOutput = now;
+            return true;
+        }
+
+        item.suppressed++;
+        return false;
+    }
+
+    /**
+     * Output a warning message once only.
+     * 
+     * Later calls with the same key are counted but not output.
+     * 
+     * @param   {string}                                key             Key for the warning.
+     * @param   {string}                                msg             Message to output.
+     * @param   {object|null}                           [context=null]  Context.
+     * 
+     * @return  {boolean}                                               True if it was output.
+     */
+    warnOnce(key, msg, context = null)
+    {
+        if (!this.shouldDisplay('warn')) {
+            return false;
+        }
+        if (!this.track(`once:${key}`, String(msg), 'warn', Infinity)) {
+            return false;
+        }
+        this.write(this.createRecord(msg, 'warn', 0, context));
+        return true;
+    }
+
+    /**
+     * Get the repeated messages.
+     * 
+     * @return  {object[]}                                              Array of {message, level, count, suppressed}.
+     */
+    getRepeats()
+    {
+        let ret = [];
+        for (let item of this.root._repeats.values()) {
+            if (item.suppressed > 0) {
+                ret.push({message: item.message, level: item.level, count: item.count, suppressed: item.suppressed});
+            }
+        }
+        return ret;
+    }
+
+    /**
+     * Output a summary of repeated messages and reset the tracking.
+     * 
+     * Call this at the end of a run.
+     * 
+     * @param   {'error'|'warn'|'log'|'info'|'debug'|'trace'}   [level='warn']  Level for the summary.
+     * 
+     * @return  {object[]}                                                      Array of {message, level, count, suppressed}.
      */
-    bufferClose()
+    summariseRepeats(level = 'warn')
     {
-        let ret = this._buffer;
-        this._buffer = [];
+        let ret = this.getRepeats();
+        for (let item of ret) {
+            this.msg(`Message '${item.message}' repeated ${item.count} times.`, level);
+        }
+        this.root._repeats = new Map();
         return ret;
     }
 
@@ -157,96 +668,104 @@ class Logger {
      * Output an error message.
      * 
      * @param   {string}                                msg             Message to output.
+     * @param   {object|null}                           [context=null]  Context.
      * 
      * @return  {void}
      */
-    error(msg) 
+    error(msg, context = null) 
     {
-        this.msg(msg, 'error');
+        this.msg(msg, 'error', false, 0, context);
     }
 
     /**
      * Output a warning message.
      * 
      * @param   {string}                                msg             Message to output.
+     * @param   {object|null}                           [context=null]  Context.
      * 
      * @return  {void}
      */
-    warn(msg) 
+    warn(msg, context = null) 
     {
-        this.msg(msg, 'warn');
+        this.msg(msg, 'warn', false, 0, context);
     }
 
     /**
      * Output a warning message.
      * 
      * @param   {string}                                msg             Message to output.
+     * @param   {object|null}                           [context=null]  Context.
      * 
      * @return  {void}
      */
-    warning(msg) 
+    warning(msg, context = null) 
     {
-        this.warn(msg);
+        this.warn(msg, context);
     }
 
     /**
      * Output a log message.
      * 
      * @param   {string}                                msg             Message to output.
+     * @param   {object|null}                           [context=null]  Context.
      * 
      * @return  {void}
      */
-    log(msg) 
+    log(msg, context = null) 
     {
-        this.msg(msg, 'log');
+        this.msg(msg, 'log', false, 0, context);
     }
 
     /**
      * Output a notice message.
      * 
      * @param   {string}                                msg             Message to output.
+     * @param   {object|null}                           [context=null]  Context.
      * 
      * @return  {void}
      */
-    notice(msg) 
+    notice(msg, context = null) 
     {
-        this.msg(msg, 'notice');
+        this.msg(msg, 'notice', false, 0, context);
     }
 
     /**
      * Output an info message.
      * 
      * @param   {string}                                msg             Message to output.
+     * @param   {object|null}                           [context=null]  Context.
      * 
      * @return  {void}
      */
-    info(msg) 
+    info(msg, context = null) 
     {
-        this.msg(msg, 'info');
+        this.msg(msg, 'info', false, 0, context);
     }
 
     /**
      * Output a debug message.
      * 
      * @param   {string}                                msg             Message to output.
+     * @param   {object|null}                           [context=null]  Context.
      * 
      * @return  {void}
      */
-    debug(msg) 
+    debug(msg, context = null) 
     {
-        this.msg(msg, 'debug');
+        this.msg(msg, 'debug', false, 0, context);
     }
 
     /**
      * Output a trace message.
      * 
      * @param   {string}                                msg             Message to output.
+     * @param   {object|null}                           [context=null]  Context.
      * 
      * @return  {void}
      */
-    trace(msg) 
+    trace(msg, context = null) 
     {
-        this.msg(msg, 'trace');
+        this.msg(msg, 'trace', false, 0, context);
     }
 
     /**
@@ -272,7 +791,7 @@ class Logger {
      */
     shouldDisplay(level, force = false)
     {
-        if ((this._levels[level] >= this._levels[this._level]) || force) {
+        if ((this._levels[level] >= this._levels[this.getLevel()]) || force) {
             return true;
         }
         return false;
@@ -285,76 +804,100 @@ class Logger {
      * @param   {'error'|'warn'|'log'|'info'|'debug'|'trace'}   [level='log']   Message level.
      * @param   {boolean}                                       [force=false]   Force logging.
      * @param   {number}                                        [indent=0]      Indent level.
+     * @param   {object|null}                                   [context=null]  Context.
      * 
      * @return  {void}
      */
-    msg(msg, level = 'log', force = false, indent = 0)   
+    msg(msg, level = 'log', force = false, indent = 0, context = null)   
     {
         if (this.shouldDisplay(level, force)) {
-
-            msg = String(msg);
-            if (indent > 0) {
-                let sp = msg.split("\n");
-                let lines = [];
-                for (let line of sp) {
-                    lines.push("  ".repeat(indent) + line);
+            let root = this.root;
+            if (!force && root._dedupeWindow > 0 && root._dedupeLevels.includes(level)) {
+                if (!this.track(`${level}:${msg}`, String(msg), level, root._dedupeWindow)) {
+                    return;
                 }
-                msg = lines.join("\n");
             }
+            this.write(this.createRecord(msg, level, indent, context), force);
+        }
+    }
 
-            let tag = `[GreenFedora:${level}]`
+    /**
+     * Create a log record.
+     * 
+     * @param   {string}                                        msg             Message.
+     * @param   {'error'|'warn'|'log'|'info'|'debug'|'trace'}   level           Message level.
+     * @param   {number}                                        [indent=0]      Indent level.
+     * @param   {object|null}                                   [context=null]  Context.
+     * 
+     * @return  {object}                                                        Log record.
+     */
+    createRecord(msg, level, indent = 0, context = null)
+    {
+        if (Object.keys(this._context).length > 0) {
+            if (null === context || undefined === context || '' === context) {
+                context = {...this._context};
+            } else if ('object' === typeof(context)) {
+                context = {...this._context, ...context};
+            } else {
+                context = {...this._context, detail: context};
+            }
+        }
 
-            msg = `${tag} ${msg.split("\n").join("\n" + tag)}`;
+        return {
+            timestamp: new Date().toISOString(),
+            level: level,
+            message: String(msg),
+            indent: indent,
+            context: context
+        };
+    }
 
-            let cc = level;
-            if ('notice' === cc) {
-                cc = 'log';
-            }
+    /**
+     * Write a record to all transports that will take it.
+     * 
+     * Children pass their records up to the root, which owns the transports.
+     * 
+     * @param   {object}            record              Log record.
+     * @param   {boolean}           [force=false]       Force logging (ignores transport levels).
+     * @param   {LogFormatter|null} [formatter=null]    Formatter to use where transports don't have their own.
+     * 
+     * @return  {void}
+     */
+    write(record, force = false, formatter = null)
+    {
+        formatter = formatter || this._formatter;
 
-            if (Array.isArray(this._cols[level])) {
-                console[cc](kleur[this._cols[level][0]]()[this._cols[level][1]](msg));
-            } else {
-                console[cc](kleur[this._cols[level]](msg));
-            }
+        if (null !== this._parent) {
+            this._parent.write(record, force, formatter);
+            return;
+        }
 
+        for (let t of this._transports) {
+            if (force || this._levels[record.level] >= this._levels[t.level]) {
+                t.log(record, formatter);
+            }
         }
     }
 
     /**
      * Handle an exception.
      * 
+     * The exception and its chain of original errors go out as a single record so that
+     * the formatter can decide how to present them.
+     * 
      * @param   {Error}                                         ex                  Exception object.
      * @param   {'error'|'warn'|'log'|'info'|'debug'|'trace'}   [level='error']     Message level.
      * @param   {boolean}                                       [force=false]       Force logging.
      * @param   {boolean}                                       [stackTraces=true]  Do we want stack traces?
+     * @param   {object|null}                                   [context=null]      Context.
      */
-    exception(ex, level = "error", force = false, stackTraces = true)
+    exception(ex, level = "error", force = false, stackTraces = true, context = null)
     {
-        this.msg(`==> ${ex.name} Exception: ${ex.message}`, level, force);
-
-        if (ex.stack && stackTraces) {
-            this.msg(ex.stack.split("\n").slice(1).join("\n"), level, force);
-        }
-
-        if (ex.originalError) {
-            let orig = ex.originalError;
-            let indent = 2;
-
-            while (orig) {
-                this.msg(`\n==> A previous exception of type '${orig.name}' was encountered: ${orig.message}`, 
-                    level, force, indent);
-
-                if (orig.stack && stackTraces) {
-                    this.msg(orig.stack.split('\n').slice(1).join("\n"), level, force, indent);
-                }
-
-                if (orig.originalError) {
-                    indent++;
-                    orig = orig.originalError;
-                } else {
-                    orig = null;
-                }
-            }
+        if (this.shouldDisplay(level, force)) {
+            let record = this.createRecord(`${ex.name} Exception: ${ex.message}`, level, 0, context);
+            record.error = ex;
+            record.stackTraces = stackTraces;
+            this.write(record, force);
         }
     }
 
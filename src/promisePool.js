@@ -0,0 +1,55 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+/**
+ * Run an async function over some items, with at most 'concurrency' calls in flight at once.
+ * 
+ * The first rejection stops further items being started and is thrown once the calls already in
+ * flight have settled.
+ * 
+ * @param   {any[]}         items           Items to process.
+ * @param   {number}        concurrency     Maximum calls in flight (0 = no limit).
+ * @param   {function}      fn              Async function: (item, index) => result.
+ * 
+ * @return  {Promise<any[]>}                Results, in the same order as the items.
+ */
+async function promisePool(items, concurrency, fn)
+{
+    items = Array.from(items);
+    let results = new Array(items.length);
+    let next = 0;
+    let failed = null;
+
+    let worker = async () => {
+        while (null === failed && next < items.length) {
+            let index = next++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (err) {
+                if (null === failed) {
+                    failed = {err: err};
+                }
+            }
+        }
+    };
+
+    let workers = [];
+    let count = (concurrency > 0) ? Math.min(concurrency, items.length) : items.length;
+    for (let i = 0; i < count; i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    if (null !== failed) {
+        throw failed.err;
+    }
+
+    return results;
+}
+
+module.exports = promisePool;
@@ -0,0 +1,687 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const path = require('path');
+
+/**
+ * In-memory file system.
+ * 
+ * Implements the same subset of Node's fs API as RealFs (sync methods plus 'promises'), with Node's
+ * error codes, so FsUtils and FileCache can run without touching the disk:
+ * 
+ *      FsUtils.useFs(MemoryFs.fromJSON({'/site/index.md': '# Hello'}));
+ * 
+ * Symbolic links, permissions and watching are not supported. Relative paths are resolved against
+ * the process's current directory.
+ */
+class MemoryFs
+{
+    /**
+     * Root node.
+     * @member  {object}
+     */
+    root = null;
+
+    /**
+     * Open file descriptors (fd => {node, pos}).
+     * @member  {Map}
+     */
+    fds = null;
+
+    /**
+     * Next file descriptor.
+     * @member  {number}
+     */
+    nextFd = 1000;
+
+    /**
+     * Next inode.
+     * @member  {number}
+     */
+    nextIno = 1;
+
+    /**
+     * Promise versions of the methods.
+     * @member  {object}
+     */
+    promises = null;
+
+    /**
+     * Constructor.
+     * 
+     * @return  {MemoryFs}
+     */
+    constructor()
+    {
+        this.root = this.createNode('dir');
+        this.fds = new Map();
+
+        let promised = {};
+        for (let name of MemoryFs.promiseMethods) {
+            promised[name] = async (...args) => this[name + 'Sync'](...args);
+        }
+        promised.open = async (p, flags = 'r') => {
+            let fd = this.openSync(p, flags);
+            return {
+                fd: fd,
+                read: async (buf, offset, length, position) => {
+                    return {bytesRead: this.readSync(fd, buf, offset, length, position), buffer: buf};
+                },
+                close: async () => this.closeSync(fd)
+            };
+        };
+        this.promises = promised;
+    }
+
+    /**
+     * Methods that have promise versions (the sync method without 'Sync').
+     * @member  {string[]}
+     */
+    static promiseMethods = ['access', 'copyFile', 'lstat', 'mkdir', 'readdir', 'readFile', 'realpath',
+        'rename', 'rm', 'rmdir', 'stat', 'unlink', 'utimes', 'writeFile'];
+
+    /**
+     * Create a file system from an object of paths and contents.
+     * 
+     * Contents are strings or Buffers, or null for an empty directory.
+     * 
+     * @param   {object}    files       Path => content.
+     * 
+     * @return  {MemoryFs}
+     * @static
+     */
+    static fromJSON(files)
+    {
+        let mfs = new MemoryFs();
+        for (let p in files) {
+            if (null === files[p]) {
+                mfs.mkdirSync(p, {recursive: true});
+            } else {
+                mfs.mkdirSync(path.dirname(path.resolve(p)), {recursive: true});
+                mfs.writeFileSync(p, files[p]);
+            }
+        }
+        return mfs;
+    }
+
+    /**
+     * Get all the files as an object of paths and (utf8) contents.
+     * 
+     * Empty directories have null contents.
+     * 
+     * @return  {object}
+     */
+    toJSON()
+    {
+        let ret = {};
+        let visit = (node, p) => {
+            if ('file' === node.type) {
+                ret[p] = node.data.toString('utf8');
+            } else if (0 === node.children.size && '/' !== p) {
+                ret[p] = null;
+            } else {
+                for (let [name, child] of node.children) {
+                    visit(child, path.posix.join(p, name));
+                }
+            }
+        };
+        visit(this.root, '/');
+        return ret;
+    }
+
+    /**
+     * Make a Node-style error.
+     * 
+     * @param   {string}    code        Code (ENOENT etc.).
+     * @param   {string}    syscall     Call that failed.
+     * @param   {string}    p           Path.
+     * 
+     * @return  {Error}
+     * @static
+     */
+    static error(code, syscall, p)
+    {
+        let messages = {
+            ENOENT: 'no such file or directory',
+            EEXIST: 'file already exists',
+            ENOTDIR: 'not a directory',
+            EISDIR: 'illegal operation on a directory',
+            ENOTEMPTY: 'directory not empty',
+            EBADF: 'bad file descriptor',
+            EINVAL: 'invalid argument'
+        };
+        let err = new Error(`${code}: ${messages[code]}, ${syscall} '${p}'`);
+        err.code = code;
+        err.syscall = syscall;
+        err.path = p;
+        return err;
+    }
+
+    /**
+     * Create a node.
+     * 
+     * @param   {string}    type        'file' or 'dir'.
+     * @param   {Buffer}    [data]      File data.
+     * 
+     * @return  {object}
+     */
+    createNode(type, data = null)
+    {
+        let now = Date.now();
+        let node = {type: type, ino: this.nextIno++, atimeMs: now, mtimeMs: now, ctimeMs: now, birthtimeMs: now};
+        if ('dir' === type) {
+            node.children = new Map();
+        } else {
+            node.data = data || Buffer.alloc(0);
+        }
+        return node;
+    }
+
+    /**
+     * Split a path into its resolved form and segments.
+     * 
+     * @param   {string}    p           Path.
+     * 
+     * @return  {object}                {resolved, parts}.
+     */
+    split(p)
+    {
+        let resolved = path.resolve(String(p));
+        return {resolved: resolved, parts: resolved.split(path.sep).filter(s => '' !== s)};
+    }
+
+    /**
+     * Find a node.
+     * 
+     * @param   {string}    p           Path.
+     * @param   {string}    syscall     Call we're doing (for errors).
+     * 
+     * @return  {object}                The node.
+     * 
+     * @throws  {Error}                 ENOENT or ENOTDIR.
+     */
+    find(p, syscall)
+    {
+        let node = this.root;
+        for (let part of this.split(p).parts) {
+            if ('dir' !== node.type) {
+                throw MemoryFs.error('ENOTDIR', syscall, p);
+            }
+            node = node.children.get(part);
+            if (undefined === node) {
+                throw MemoryFs.error('ENOENT', syscall, p);
+            }
+        }
+        return node;
+    }
+
+    /**
+     * Find the parent directory node of a path.
+     * 
+     * @param   {string}    p           Path.
+     * @param   {string}    syscall     Call we're doing (for errors).
+     * 
+     * @return  {object}                {parent, name}.
+     */
+    findParent(p, syscall)
+    {
+        let {resolved, parts} = this.split(p);
+        if (0 === parts.length) {
+            throw MemoryFs.error('EISDIR', syscall, p);
+        }
+        let parent = this.find(path.dirname(resolved), syscall);
+        if ('dir' !== parent.type) {
+            throw MemoryFs.error('ENOTDIR', syscall, p);
+        }
+        return {parent: parent, name: parts[parts.length - 1]};
+    }
+
+    /**
+     * Make a stats object for a node.
+     * 
+     * @param   {object}    node        Node.
+     * 
+     * @return  {object}                Like fs.Stats.
+     */
+    makeStats(node)
+    {
+        let isDir = ('dir' === node.type);
+        return {
+            dev: 0,
+            ino: node.ino,
+            mode: (isDir) ? 0o40755 : 0o100644,
+            nlink: 1,
+            size: (isDir) ? 4096 : node.data.length,
+            atimeMs: node.atimeMs,
+            mtimeMs: node.mtimeMs,
+            ctimeMs: node.ctimeMs,
+            birthtimeMs: node.birthtimeMs,
+            atime: new Date(node.atimeMs),
+            mtime: new Date(node.mtimeMs),
+            ctime: new Date(node.ctimeMs),
+            birthtime: new Date(node.birthtimeMs),
+            isFile: () => !isDir,
+            isDirectory: () => isDir,
+            isSymbolicLink: () => false,
+            isFIFO: () => false,
+            isSocket: () => false,
+            isBlockDevice: () => false,
+            isCharacterDevice: () => false
+        };
+    }
+
+    /**
+     * Get the encoding from an options argument.
+     * 
+     * @param   {string|object|null}    opts    Options.
+     * 
+     * @return  {string|null}
+     */
+    encoding(opts)
+    {
+        if ('string' === typeof opts) {
+            return opts;
+        }
+        return (opts && opts.encoding) ? opts.encoding : null;
+    }
+
+    /**
+     * See if a path exists.
+     * 
+     * @param   {string}        p               Path.
+     * 
+     * @return  {boolean}
+     */
+    existsSync(p)
+    {
+        try {
+            this.find(p, 'access');
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Check a path can be accessed.
+     * 
+     * @param   {string}        p               Path.
+     * 
+     * @return  {void}
+     */
+    accessSync(p)
+    {
+        this.find(p, 'access');
+    }
+
+    /**
+     * Get the stats of a path.
+     * 
+     * @param   {string}        p               Path.
+     * 
+     * @return  {object}                Like fs.Stats.
+     */
+    statSync(p)
+    {
+        return this.makeStats(this.find(p, 'stat'));
+    }
+
+    /**
+     * Get the stats of a path (without following links, which we don't have).
+     * 
+     * @param   {string}        p               Path.
+     * 
+     * @return  {object}                Like fs.Stats.
+     */
+    lstatSync(p)
+    {
+        return this.makeStats(this.find(p, 'lstat'));
+    }
+
+    /**
+     * Get the canonical path.
+     * 
+     * @param   {string}        p               Path.
+     * 
+     * @return  {string}
+     */
+    realpathSync(p)
+    {
+        this.find(p, 'realpath');
+        return this.split(p).resolved;
+    }
+
+    /**
+     * Read a directory.
+     * 
+     * @param   {string}        p               Path.
+     * @param   {object}        [opts=null]     Options: withFileTypes.
+     * 
+     * @return  {string[]|object[]}      Names, or dirent-like objects.
+     */
+    readdirSync(p, opts = null)
+    {
+        let node = this.find(p, 'scandir');
+        if ('dir' !== node.type) {
+            throw MemoryFs.error('ENOTDIR', 'scandir', p);
+        }
+        let names = Array.from(node.children.keys()).sort();
+        if (opts && opts.withFileTypes) {
+            return names.map((name) => {
+                let isDir = ('dir' === node.children.get(name).type);
+                return {
+                    name: name,
+                    isFile: () => !isDir,
+                    isDirectory: () => isDir,
+                    isSymbolicLink: () => false
+                };
+            });
+        }
+        return names;
+    }
+
+    /**
+     * Read a file.
+     * 
+     * @param   {string}        p               Path.
+     * @param   {string|object} [opts=null]     Encoding or options.
+     * 
+     * @return  {string|Buffer}
+     */
+    readFileSync(p, opts = null)
+    {
+        let node = this.find(p, 'open');
+        if ('dir' === node.type) {
+            throw MemoryFs.error('EISDIR', 'read', p);
+        }
+        node.atimeMs = Date.now();
+        let enc = this.encoding(opts);
+        return (enc) ? node.data.toString(enc) : Buffer.from(node.data);
+    }
+
+    /**
+     * Write a file.
+     * 
+     * @param   {string}        p               Path.
+     * @param   {string|Buffer} data            Data.
+     * @param   {string|object} [opts=null]     Encoding or options.
+     * 
+     * @return  {void}
+     */
+    writeFileSync(p, data, opts = null)
+    {
+        let {parent, name} = this.findParent(p, 'open');
+        let existing = parent.children.get(name);
+        if (existing && 'dir' === existing.type) {
+            throw MemoryFs.error('EISDIR', 'open', p);
+        }
+        let buf = (Buffer.isBuffer(data)) ? Buffer.from(data) : Buffer.from(String(data), this.encoding(opts) || 'utf8');
+        if (existing) {
+            existing.data = buf;
+            existing.mtimeMs = existing.ctimeMs = Date.now();
+        } else {
+            parent.children.set(name, this.createNode('file', buf));
+            parent.mtimeMs = Date.now();
+        }
+    }
+
+    /**
+     * Make a directory.
+     * 
+     * @param   {string}        p               Path.
+     * @param   {object}        [opts={}]       Options: recursive.
+     * 
+     * @return  {string|undefined}      For recursive calls, the first directory created.
+     */
+    mkdirSync(p, opts = {})
+    {
+        let recursive = (opts && opts.recursive);
+        let {resolved, parts} = this.split(p);
+        let node = this.root;
+        let created = undefined;
+
+        for (let i = 0; i < parts.length; i++) {
+            if ('dir' !== node.type) {
+                throw MemoryFs.error('ENOTDIR', 'mkdir', p);
+            }
+            let child = node.children.get(parts[i]);
+            let last = (i === parts.length - 1);
+            if (undefined === child) {
+                if (!last && !recursive) {
+                    throw MemoryFs.error('ENOENT', 'mkdir', p);
+                }
+                child = this.createNode('dir');
+                node.children.set(parts[i], child);
+                node.mtimeMs = Date.now();
+                if (undefined === created) {
+                    created = path.join(path.parse(resolved).root, ...parts.slice(0, i + 1));
+                }
+            } else if (last && !recursive) {
+                throw MemoryFs.error('EEXIST', 'mkdir', p);
+            } else if (last && 'dir' !== child.type) {
+                throw MemoryFs.error('EEXIST', 'mkdir', p);
+            }
+            node = child;
+        }
+
+        return (recursive) ? created : undefined;
+    }
+
+    /**
+     * Remove a file or directory.
+     * 
+     * @param   {string}        p               Path.
+     * @param   {object}        [opts={}]       Options: recursive, force.
+     * 
+     * @return  {void}
+     */
+    rmSync(p, opts = {})
+    {
+        opts = opts || {};
+        let node;
+        try {
+            node = this.find(p, 'rm');
+        } catch (err) {
+            if (opts.force && 'ENOENT' === err.code) {
+                return;
+            }
+            throw err;
+        }
+        if ('dir' === node.type && !opts.recursive) {
+            let err = MemoryFs.error('EISDIR', 'rm', p);
+            err.code = 'ERR_FS_EISDIR';
+            throw err;
+        }
+        let {parent, name} = this.findParent(p, 'rm');
+        parent.children.delete(name);
+        parent.mtimeMs = Date.now();
+    }
+
+    /**
+     * Remove an empty directory.
+     * 
+     * @param   {string}        p               Path.
+     * 
+     * @return  {void}
+     */
+    rmdirSync(p)
+    {
+        let node = this.find(p, 'rmdir');
+        if ('dir' !== node.type) {
+            throw MemoryFs.error('ENOTDIR', 'rmdir', p);
+        }
+        if (node.children.size > 0) {
+            throw MemoryFs.error('ENOTEMPTY', 'rmdir', p);
+        }
+        let {parent, name} = this.findParent(p, 'rmdir');
+        parent.children.delete(name);
+    }
+
+    /**
+     * Remove a file.
+     * 
+     * @param   {string}        p               Path.
+     * 
+     * @return  {void}
+     */
+    unlinkSync(p)
+    {
+        let node = this.find(p, 'unlink');
+        if ('dir' === node.type) {
+            throw MemoryFs.error('EISDIR', 'unlink', p);
+        }
+        let {parent, name} = this.findParent(p, 'unlink');
+        parent.children.delete(name);
+    }
+
+    /**
+     * Rename a file or directory.
+     * 
+     * @param   {string}        from            Old path.
+     * @param   {string}        to              New path.
+     * 
+     * @return  {void}
+     */
+    renameSync(from, to)
+    {
+        let node = this.find(from, 'rename');
+        let src = this.findParent(from, 'rename');
+        let dest = this.findParent(to, 'rename');
+        let existing = dest.parent.children.get(dest.name);
+        if (existing && 'dir' === existing.type && 'dir' !== node.type) {
+            throw MemoryFs.error('EISDIR', 'rename', to);
+        }
+        if (existing && 'dir' === existing.type && existing.children.size > 0) {
+            throw MemoryFs.error('ENOTEMPTY', 'rename', to);
+        }
+        src.parent.children.delete(src.name);
+        dest.parent.children.set(dest.name, node);
+    }
+
+    /**
+     * Copy a file.
+     * 
+     * @param   {string}        from            Source.
+     * @param   {string}        to              Destination.
+     * 
+     * @return  {void}
+     */
+    copyFileSync(from, to)
+    {
+        let node = this.find(from, 'copyfile');
+        if ('dir' === node.type) {
+            throw MemoryFs.error('EISDIR', 'copyfile', from);
+        }
+        this.writeFileSync(to, node.data);
+    }
+
+    /**
+     * Copy a file or directory.
+     * 
+     * @param   {string}        from            Source.
+     * @param   {string}        to              Destination.
+     * @param   {object}        [opts={}]       Options: recursive.
+     * 
+     * @return  {void}
+     */
+    cpSync(from, to, opts = {})
+    {
+        let node = this.find(from, 'cp');
+        if ('dir' !== node.type) {
+            this.copyFileSync(from, to);
+            return;
+        }
+        if (!opts || !opts.recursive) {
+            throw MemoryFs.error('EISDIR', 'cp', from);
+        }
+        this.mkdirSync(to, {recursive: true});
+        for (let name of node.children.keys()) {
+            this.cpSync(path.join(from, name), path.join(to, name), opts);
+        }
+    }
+
+    /**
+     * Set access and modification times.
+     * 
+     * @param   {string}        p               Path.
+     * @param   {Date|number}   atime           Access time (Date or seconds).
+     * @param   {Date|number}   mtime           Modification time (Date or seconds).
+     * 
+     * @return  {void}
+     */
+    utimesSync(p, atime, mtime)
+    {
+        let node = this.find(p, 'utime');
+        let ms = (t) => (t instanceof Date) ? t.getTime() : t * 1000;
+        node.atimeMs = ms(atime);
+        node.mtimeMs = ms(mtime);
+    }
+
+    /**
+     * Open a file (for reading only).
+     * 
+     * @param   {string}        p               Path.
+     * @param   {string}        [flags='r']     Flags.
+     * 
+     * @return  {number}                File descriptor.
+     */
+    openSync(p, flags = 'r')
+    {
+        if ('r' !== flags) {
+            throw MemoryFs.error('EINVAL', 'open', p);
+        }
+        let node = this.find(p, 'open');
+        if ('dir' === node.type) {
+            throw MemoryFs.error('EISDIR', 'open', p);
+        }
+        let fd = this.nextFd++;
+        this.fds.set(fd, {node: node, pos: 0});
+        return fd;
+    }
+
+    /**
+     * Read from a file descriptor.
+     * 
+     * @param   {number}        fd                 File descriptor.
+     * @param   {Buffer}        buf                Buffer to read into.
+     * @param   {number}        [offset=0]         Offset in the buffer.
+     * @param   {number}        [length]           Bytes to read.
+     * @param   {number|null}   [position=null]    Position to read from (null for current).
+     * 
+     * @return  {number}                Bytes read.
+     */
+    readSync(fd, buf, offset = 0, length = buf.length, position = null)
+    {
+        let open = this.fds.get(fd);
+        if (undefined === open) {
+            throw MemoryFs.error('EBADF', 'read', String(fd));
+        }
+        let start = (null === position || undefined === position) ? open.pos : position;
+        let bytes = open.node.data.copy(buf, offset, start, Math.min(start + length, open.node.data.length));
+        if (null === position || undefined === position) {
+            open.pos += bytes;
+        }
+        return bytes;
+    }
+
+    /**
+     * Close a file descriptor.
+     * 
+     * @param   {number}        fd              File descriptor.
+     * 
+     * @return  {void}
+     */
+    closeSync(fd)
+    {
+        if (!this.fds.delete(fd)) {
+            throw MemoryFs.error('EBADF', 'close', String(fd));
+        }
+    }
+}
+
+module.exports = MemoryFs;
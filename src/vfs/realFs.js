@@ -0,0 +1,40 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Real file system.
+ * 
+ * Passes the subset of Node's fs API that FsUtils and FileCache use straight through to Node's fs.
+ * MemoryFs implements the same subset in memory.
+ */
+class RealFs
+{
+    /**
+     * Promise versions of the methods.
+     * @member  {object}
+     */
+    promises = fs.promises;
+
+    /**
+     * The sync methods we provide.
+     * @member  {string[]}
+     */
+    static methods = ['accessSync', 'closeSync', 'copyFileSync', 'cpSync', 'existsSync', 'lstatSync', 
+        'mkdirSync', 'openSync', 'readdirSync', 'readFileSync', 'readSync', 'realpathSync', 'renameSync', 
+        'rmdirSync', 'rmSync', 'statSync', 'unlinkSync', 'utimesSync', 'watch', 'writeFileSync'];
+}
+
+for (let name of RealFs.methods) {
+    RealFs.prototype[name] = function (...args) {
+        return fs[name](...args);
+    };
+}
+
+module.exports = RealFs;
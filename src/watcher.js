@@ -0,0 +1,392 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const path = require('path');
+const EventManager = require('./eventManager');
+const FsUtils = require('./fsUtils');
+const { GfWatcherError } = require('./gfErrors');
+const { syslog } = require('./logger');
+const log = syslog.child({component: 'Watcher'});
+
+/**
+ * File system watcher.
+ * 
+ * Watches a directory tree with fs.watch (one non-recursive watch per directory, so it needs no
+ * native add-ons), debounces bursts of events and emits batches of changes:
+ * 
+ *      events.on('filesChanged', async (batch) => { ... batch.added, batch.changed, batch.removed });
+ * 
+ * Files are filtered with the options of FsUtils.fileFilter(), merged over the default of
+ * skipping dot files and dot directories (such as '.git'). Batches are emitted one at a time, in
+ * order.
+ */
+class Watcher
+{
+    /**
+     * Directory we're watching.
+     * @member  {string}
+     */
+    dir = null;
+
+    /**
+     * Event manager we emit 'filesChanged' through.
+     * @member  {EventManager}
+     */
+    events = null;
+
+    /**
+     * Options.
+     * @member  {object}
+     */
+    opts = null;
+
+    /**
+     * File system given in the options (null for FsUtils.fs).
+     * @member  {RealFs|null}
+     */
+    fsys = null;
+
+    /**
+     * Debounce time in milliseconds.
+     * @member  {number}
+     */
+    debounce = 100;
+
+    /**
+     * File filter.
+     * @member  {function}
+     */
+    filter = null;
+
+    /**
+     * Known files (path => {mtimeMs, size}).
+     * @member  {Map}
+     */
+    files = null;
+
+    /**
+     * Directory watchers (path => fs.FSWatcher).
+     * @member  {Map}
+     */
+    watchers = null;
+
+    /**
+     * Paths with events waiting to be processed.
+     * @member  {Set}
+     */
+    pending = null;
+
+    /**
+     * Debounce timer.
+     * @member  {object}
+     */
+    timer = null;
+
+    /**
+     * The flush in progress (or last finished), so flushes run one after another.
+     * @member  {Promise}
+     */
+    flushing = null;
+
+    /**
+     * Constructor.
+     * 
+     * @param   {string}        dir             Directory to watch.
+     * @param   {EventManager}  [events=null]   Event manager (we make one if not given).
+     * @param   {object}        [opts={}]       Options: as FsUtils.fileFilter(), plus debounce (ms) and
+     *                                          fs (file system, default FsUtils.fs).
+     * 
+     * @return  {Watcher}
+     */
+    constructor(dir, events = null, opts = {})
+    {
+        opts = Object.assign({fileNotBeginsWith: ['.'], skipPrefixedDirs: true}, opts);
+        this.dir = path.resolve(dir);
+        this.opts = opts;
+        if (undefined !== opts.debounce) {
+            this.debounce = opts.debounce;
+        }
+        this.fsys = opts.fs || null;
+        this.filter = FsUtils.fileFilter(opts, this.dir, this.fs);
+        this.files = new Map();
+        this.watchers = new Map();
+        this.pending = new Set();
+        this.flushing = Promise.resolve();
+
+        this.events = events || new EventManager();
+        if (!this.events.validEvents.includes('filesChanged')) {
+            this.events.setValidEvents(this.events.validEvents.concat(['filesChanged']));
+        }
+    }
+
+    /**
+     * Get the file system we use.
+     * 
+     * It needs watch(), so a MemoryFs won't do.
+     * 
+     * @return  {RealFs}
+     */
+    get fs()
+    {
+        return this.fsys || FsUtils.fs;
+    }
+
+    /**
+     * Start watching.
+     * 
+     * @return  {Watcher}
+     * 
+     * @throws  {GfWatcherError}        If the directory can't be watched.
+     */
+    start()
+    {
+        if (!this.fs.existsSync(this.dir) || !this.fs.statSync(this.dir).isDirectory()) {
+            throw new GfWatcherError(`Cannot watch ${this.dir} because it is not a directory.`);
+        }
+
+        log.debug(`Starting to watch ${this.dir}.`);
+        this.scan(this.dir, null);
+        return this;
+    }
+
+    /**
+     * Stop watching.
+     * 
+     * Changes not yet emitted are discarded.
+     * 
+     * @return  {Watcher}
+     */
+    stop()
+    {
+        if (null !== this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        for (let watcher of this.watchers.values()) {
+            watcher.close();
+        }
+        this.watchers.clear();
+        this.pending.clear();
+        log.debug(`Stopped watching ${this.dir}.`);
+        return this;
+    }
+
+    /**
+     * Scan a directory, watching it and its subdirectories and recording its files.
+     * 
+     * @param   {string}        dir         Directory.
+     * @param   {string[]|null} added       Files found are pushed on here (if given).
+     * 
+     * @return  {void}
+     */
+    scan(dir, added)
+    {
+        this.watch(dir);
+
+        let entries;
+        try {
+            entries = this.fs.readdirSync(dir, {withFileTypes: true});
+        } catch (err) {
+            log.warning(`Could not read ${dir} while watching: ${err.message}`);
+            return;
+        }
+
+        for (let entry of entries) {
+            let entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory() && this.filter(entryPath, true)) {
+                this.scan(entryPath, added);
+            } else if (entry.isFile() && this.filter(entryPath)) {
+                let current = this.stat(entryPath);
+                if (!this.files.has(entryPath) && null !== current) {
+                    if (null !== added) {
+                        added.push(entryPath);
+                    }
+                    this.files.set(entryPath, current);
+                }
+            }
+        }
+    }
+
+    /**
+     * Watch a single directory.
+     * 
+     * @param   {string}    dir         Directory.
+     * 
+     * @return  {void}
+     * 
+     * @throws  {GfWatcherError}        If it can't be watched.
+     */
+    watch(dir)
+    {
+        if (this.watchers.has(dir)) {
+            return;
+        }
+
+        let watcher;
+        try {
+            watcher = this.fs.watch(dir, {persistent: true}, (eventType, filename) => {
+                this.queue((filename) ? path.join(dir, filename.toString()) : dir);
+            });
+        } catch (err) {
+            throw new GfWatcherError(`Could not watch ${dir}.`, null, err);
+        }
+
+        watcher.on('error', (err) => {
+            // Usually the directory being removed, which the parent's watcher will tell us about.
+            log.debug(`Watcher for ${dir} reported: ${err.message}`);
+            this.unwatch(dir);
+        });
+
+        this.watchers.set(dir, watcher);
+    }
+
+    /**
+     * Stop watching a directory and everything below it.
+     * 
+     * @param   {string}    dir         Directory.
+     * 
+     * @return  {void}
+     */
+    unwatch(dir)
+    {
+        for (let [watched, watcher] of Array.from(this.watchers)) {
+            if (watched === dir || watched.startsWith(dir + path.sep)) {
+                watcher.close();
+                this.watchers.delete(watched);
+            }
+        }
+    }
+
+    /**
+     * Get the stats we compare.
+     * 
+     * @param   {string}    filePath    File.
+     * 
+     * @return  {object|null}           {mtimeMs, size} or null if it has gone.
+     */
+    stat(filePath)
+    {
+        try {
+            let stats = this.fs.statSync(filePath);
+            return {mtimeMs: stats.mtimeMs, size: stats.size};
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Queue a path for processing and (re)start the debounce timer.
+     * 
+     * @param   {string}    changedPath     Path.
+     * 
+     * @return  {void}
+     */
+    queue(changedPath)
+    {
+        this.pending.add(changedPath);
+
+        if (null !== this.timer) {
+            clearTimeout(this.timer);
+        }
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush().catch((err) => {
+                log.exception(err);
+            });
+        }, this.debounce);
+    }
+
+    /**
+     * Process the queued paths and emit a batch if anything changed.
+     * 
+     * This waits for any earlier flush to finish first, so batches never overlap or arrive out of
+     * order.
+     * 
+     * @return  {Promise<object>}       The batch: {added, changed, removed}.
+     */
+    flush()
+    {
+        let run = this.flushing.then(() => this.emitBatch());
+        this.flushing = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Collect the queued paths and emit them as a batch if anything changed.
+     * 
+     * @return  {Promise<object>}       The batch: {added, changed, removed}.
+     */
+    async emitBatch()
+    {
+        let batch = this.collect();
+
+        if (batch.added.length > 0 || batch.changed.length > 0 || batch.removed.length > 0) {
+            log.debug(`Files changed: ${batch.added.length} added, ${batch.changed.length} changed, ${batch.removed.length} removed.`);
+            await this.events.emit('filesChanged', batch);
+        }
+
+        return batch;
+    }
+
+    /**
+     * Work out what the queued paths amount to.
+     * 
+     * @return  {object}                {added, changed, removed}.
+     */
+    collect()
+    {
+        let paths = Array.from(this.pending);
+        this.pending.clear();
+
+        let added = [];
+        let changed = [];
+        let removed = [];
+
+        for (let changedPath of paths) {
+            let stats;
+            try {
+                stats = this.fs.statSync(changedPath);
+            } catch (err) {
+                stats = null;
+            }
+
+            if (null === stats) {
+                // Gone, either a file or a whole directory.
+                for (let filePath of Array.from(this.files.keys())) {
+                    if (filePath === changedPath || filePath.startsWith(changedPath + path.sep)) {
+                        this.files.delete(filePath);
+                        removed.push(filePath);
+                    }
+                }
+                this.unwatch(changedPath);
+            } else if (stats.isDirectory() && this.filter(changedPath, true)) {
+                // New directory, or an event on a directory we can't pin down, so rescan it.
+                for (let filePath of Array.from(this.files.keys())) {
+                    if (path.dirname(filePath) === changedPath && !this.fs.existsSync(filePath)) {
+                        this.files.delete(filePath);
+                        removed.push(filePath);
+                    }
+                }
+                this.scan(changedPath, added);
+            } else if (stats.isFile() && this.filter(changedPath)) {
+                let current = {mtimeMs: stats.mtimeMs, size: stats.size};
+                let known = this.files.get(changedPath);
+                if (undefined === known) {
+                    added.push(changedPath);
+                } else if (known.mtimeMs !== current.mtimeMs || known.size !== current.size) {
+                    changed.push(changedPath);
+                }
+                this.files.set(changedPath, current);
+            }
+        }
+
+        return {added: added, changed: changed, removed: removed};
+    }
+}
+
+module.exports = Watcher;
@@ -0,0 +1,176 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const Archive = require('../src/archive');
+const FsUtils = require('../src/fsUtils');
+const { GfArchiveError, GfFsUtilsError } = require('../src/gfErrors');
+
+let made = [];
+
+function tree(files)
+{
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gf-archive-'));
+    made.push(dir);
+    for (let [name, content] of Object.entries(files)) {
+        let p = path.join(dir, name);
+        fs.mkdirSync(path.dirname(p), {recursive: true});
+        fs.writeFileSync(p, content);
+    }
+    return dir;
+}
+
+/**
+ * Read a zip back through its central directory.
+ */
+function readZip(buf)
+{
+    let end = buf.length - 22;
+    assert.strictEqual(buf.readUInt32LE(end), 0x06054b50);
+    let count = buf.readUInt16LE(end + 10);
+    let pos = buf.readUInt32LE(end + 16);
+
+    let ret = [];
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(buf.readUInt32LE(pos), 0x02014b50);
+        let method = buf.readUInt16LE(pos + 10);
+        let crc = buf.readUInt32LE(pos + 16);
+        let stored = buf.readUInt32LE(pos + 20);
+        let nameLen = buf.readUInt16LE(pos + 28);
+        let name = buf.toString('utf8', pos + 46, pos + 46 + nameLen);
+        let local = buf.readUInt32LE(pos + 42);
+
+        assert.strictEqual(buf.readUInt32LE(local), 0x04034b50);
+        let start = local + 30 + buf.readUInt16LE(local + 26);
+        let raw = buf.subarray(start, start + stored);
+        let data = (8 === method) ? zlib.inflateRawSync(raw) : raw;
+        assert.strictEqual(Archive.crc32(data), crc);
+
+        ret.push({name: name, data: data});
+        pos += 46 + nameLen;
+    }
+    return ret;
+}
+
+/**
+ * Read a tar back, applying pax 'path' records.
+ */
+function readTar(buf)
+{
+    let ret = [];
+    let paxPath = null;
+    for (let pos = 0; pos < buf.length; ) {
+        let header = buf.subarray(pos, pos + 512);
+        if (header.every(b => 0 === b)) {
+            break;
+        }
+
+        let sum = 0;
+        for (let i = 0; i < 512; i++) {
+            sum += (i >= 148 && i < 156) ? 32 : header[i];
+        }
+        assert.strictEqual(parseInt(header.toString('ascii', 148, 154), 8), sum);
+        assert.strictEqual(header.toString('ascii', 257, 263), "ustar\0");
+
+        let field = (from, len) => header.toString('utf8', from, from + len).replace(/\0.*$/s, '');
+        let size = parseInt(field(124, 12), 8);
+        let type = field(156, 1);
+        let data = buf.subarray(pos + 512, pos + 512 + size);
+        pos += 512 + Math.ceil(size / 512) * 512;
+
+        if ('x' === type) {
+            paxPath = /\d+ path=(.*)\n/.exec(data.toString('utf8'))[1];
+            continue;
+        }
+
+        let prefix = field(345, 155);
+        let name = paxPath || ((prefix) ? prefix + '/' : '') + field(0, 100);
+        paxPath = null;
+        ret.push({name: name, type: type, data: data});
+    }
+    return ret;
+}
+
+test.after(() => {
+    for (let dir of made) {
+        fs.rmSync(dir, {recursive: true, force: true});
+    }
+});
+
+test('crc32 gives the standard check value', () => {
+    assert.strictEqual(Archive.crc32(Buffer.from('123456789')), 0xCBF43926);
+    assert.strictEqual(Archive.crc32(Buffer.alloc(0)), 0);
+});
+
+test('zip archives hold the entries in order, stored or deflated', () => {
+    let big = Buffer.from('abc'.repeat(1000));
+    let entries = [{name: 'sub', dir: true}, {name: 'sub/big.txt', data: big}, {name: 'x', data: Buffer.from('x')}];
+
+    let read = readZip(Archive.build(entries, 'zip'));
+
+    assert.deepStrictEqual(read.map(e => e.name), ['sub/', 'sub/big.txt', 'x']);
+    assert.ok(read[1].data.equals(big));
+    assert.strictEqual(read[2].data.toString(), 'x');
+});
+
+test('tar archives use ustar headers and pax for names that will not fit', () => {
+    let long = 'a'.repeat(120) + '/' + 'b'.repeat(120) + '.txt';
+    let split = 'p'.repeat(120) + '/file.txt';
+    let entries = [{name: 'dir', dir: true}, {name: 'dir/f.txt', data: Buffer.from('f')},
+        {name: split, data: Buffer.from('s')}, {name: long, data: Buffer.from('l')}];
+
+    let buf = Archive.build(entries, 'tar');
+    assert.strictEqual(buf.length % 512, 0);
+
+    let read = readTar(buf);
+    assert.deepStrictEqual(read.map(e => e.name), ['dir/', 'dir/f.txt', split, long]);
+    assert.deepStrictEqual(read.map(e => e.type), ['5', '0', '0', '0']);
+    assert.strictEqual(read[3].data.toString(), 'l');
+
+    let gz = Archive.build(entries, 'tar.gz');
+    assert.ok(zlib.gunzipSync(gz).equals(buf));
+});
+
+test('build is reproducible and rejects unknown formats', () => {
+    let entries = [{name: 'a.txt', data: Buffer.from('a')}];
+    for (let format of Archive.formats) {
+        assert.ok(Archive.build(entries, format).equals(Archive.build(entries, format)));
+    }
+    assert.throws(() => Archive.build(entries, 'rar'), GfArchiveError);
+});
+
+test('archiveDir takes the format from the extension and refuses a mismatch', () => {
+    let dir = tree({'a.txt': 'a', 'sub/b.txt': 'b', '.hidden': 'h'});
+    let out = tree({});
+
+    let zip = FsUtils.archiveDir(dir, path.join(out, 'site.zip'));
+    assert.strictEqual(zip.format, 'zip');
+    assert.deepStrictEqual(readZip(fs.readFileSync(zip.dest)).map(e => e.name), ['a.txt', 'sub/', 'sub/b.txt']);
+
+    let tgz = FsUtils.archiveDir(dir, path.join(out, 'site.tgz'));
+    assert.strictEqual(tgz.format, 'tar.gz');
+    assert.strictEqual(readTar(zlib.gunzipSync(fs.readFileSync(tgz.dest))).length, 3);
+
+    assert.throws(() => FsUtils.archiveDir(dir, path.join(out, 'site.zip'), {format: 'tar'}), GfFsUtilsError);
+});
+
+test('archiveDir output does not depend on file times', () => {
+    let dir = tree({'a.txt': 'a'});
+    let out = tree({});
+
+    let first = fs.readFileSync(FsUtils.archiveDir(dir, path.join(out, '1.tar')).dest);
+    fs.utimesSync(path.join(dir, 'a.txt'), new Date(2001, 1, 1), new Date(2001, 1, 1));
+    let second = fs.readFileSync(FsUtils.archiveDir(dir, path.join(out, '2.tar')).dest);
+
+    assert.ok(first.equals(second));
+});
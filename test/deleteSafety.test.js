@@ -0,0 +1,102 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FsUtils = require('../src/fsUtils');
+const { GfFsUtilsError } = require('../src/gfErrors');
+
+let made = [];
+
+function tree(files)
+{
+    let dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'gf-delete-')));
+    made.push(dir);
+    for (let [name, content] of Object.entries(files)) {
+        let p = path.join(dir, name);
+        fs.mkdirSync(path.dirname(p), {recursive: true});
+        fs.writeFileSync(p, content);
+    }
+    return dir;
+}
+
+test.after(() => {
+    for (let dir of made) {
+        fs.rmSync(dir, {recursive: true, force: true});
+    }
+});
+
+test('checkDeletable refuses the root and the current directory', () => {
+    assert.throws(() => FsUtils.checkDeletable(path.parse(process.cwd()).root), /file system root/);
+    assert.throws(() => FsUtils.checkDeletable(process.cwd()), /current directory/);
+    assert.throws(() => FsUtils.checkDeletable(path.dirname(process.cwd())), /current directory/);
+});
+
+test('checkDeletable does not mistake a "..name" directory for a parent', () => {
+    let root = tree({'..build/x.txt': 'x'});
+    let saved = process.cwd();
+    process.chdir(path.join(root, '..build'));
+    try {
+        assert.throws(() => FsUtils.checkDeletable(root), /current directory/);
+    } finally {
+        process.chdir(saved);
+    }
+});
+
+test('checkDeletable only allows paths strictly inside the roots', () => {
+    let root = tree({'out/a.txt': 'a'});
+    assert.strictEqual(FsUtils.checkDeletable(path.join(root, 'out'), {roots: [root]}), path.join(root, 'out'));
+    assert.throws(() => FsUtils.checkDeletable(root, {roots: [root]}), GfFsUtilsError);
+    assert.throws(() => FsUtils.checkDeletable(root + '2', {roots: [root]}), /not inside an allowed root/);
+});
+
+test('checkDeletable compares roots by their real paths', () => {
+    let root = tree({'real/out/a.txt': 'a', 'outside/b.txt': 'b'});
+    fs.symlinkSync(path.join(root, 'real'), path.join(root, 'alias'));
+    fs.symlinkSync(path.join(root, 'outside'), path.join(root, 'real', 'escape'));
+
+    assert.doesNotThrow(() => FsUtils.checkDeletable(path.join(root, 'real', 'out'), {roots: [path.join(root, 'alias')]}));
+    assert.doesNotThrow(() => FsUtils.checkDeletable(path.join(root, 'alias', 'out'), {roots: [path.join(root, 'real')]}));
+    assert.throws(() => FsUtils.checkDeletable(path.join(root, 'real', 'escape'), {roots: [path.join(root, 'real')]}),
+        /not inside an allowed root/);
+});
+
+test('checkDeletable refuses a directory with a marker anywhere inside it', () => {
+    let root = tree({'site/.git/HEAD': 'ref', 'plain/a.txt': 'a', 'deep/x/y/package.json': '{}'});
+    assert.throws(() => FsUtils.checkDeletable(path.join(root, 'site')), /'\.git'/);
+    assert.throws(() => FsUtils.checkDeletable(root), /contains/);
+    assert.throws(() => FsUtils.checkDeletable(path.join(root, 'deep')), /package\.json/);
+    assert.doesNotThrow(() => FsUtils.checkDeletable(path.join(root, 'plain')));
+    assert.doesNotThrow(() => FsUtils.checkDeletable(path.join(root, 'deep'), {markers: ['.git']}));
+});
+
+test('deleteFolderRecursive supports dry runs and the trash', () => {
+    let root = tree({'out/a.txt': 'a', 'out/sub/b.txt': 'b'});
+    let out = path.join(root, 'out');
+
+    let list = FsUtils.deleteFolderRecursive(out, true, {dryRun: true});
+    assert.strictEqual(list[list.length - 1], out);
+    assert.ok(list.includes(path.join(out, 'sub', 'b.txt')));
+    assert.ok(fs.existsSync(out));
+
+    FsUtils.deleteFolderRecursive(out, true, {trash: path.join(root, 'trash')});
+    assert.ok(!fs.existsSync(out));
+    let trashed = fs.readdirSync(path.join(root, 'trash'));
+    assert.strictEqual(trashed.length, 1);
+    assert.ok(fs.existsSync(path.join(root, 'trash', trashed[0], 'sub', 'b.txt')));
+});
+
+test('cleanDir deletes a safe directory', () => {
+    let root = tree({'out/a.txt': 'a'});
+    assert.strictEqual(FsUtils.cleanDir(path.join(root, 'out'), {roots: [root]}), true);
+    assert.ok(!fs.existsSync(path.join(root, 'out')));
+    assert.strictEqual(FsUtils.cleanDir(path.join(root, 'out')), false);
+});
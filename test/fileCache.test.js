@@ -0,0 +1,74 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MemoryFs = require('../src/vfs/memoryFs');
+const FileCache = require('../src/fileCache');
+
+const cachePath = '/cache/.filecache.json';
+
+function cacheWith(content)
+{
+    let fsys = new MemoryFs();
+    fsys.mkdirSync('/cache', {recursive: true});
+    if (null !== content) {
+        fsys.writeFileSync(cachePath, content);
+    }
+    return new FileCache(cachePath, '/site', 'stats', 'sha256', {fs: fsys});
+}
+
+function withHeader(payload, version = FileCache.formatVersion)
+{
+    let body = JSON.stringify(payload);
+    let header = JSON.stringify({format: FileCache.formatName, version: version, checksum: FileCache.checksum(body)});
+    return header + "\n" + body;
+}
+
+test('load reads a version 1 cache (a bare array of entries)', () => {
+    let cache = cacheWith(JSON.stringify([['/a.md', {size: 1}]])).load();
+    assert.deepStrictEqual(cache.get('/a.md'), {size: 1});
+    assert.strictEqual(cache.deps.size, 0);
+});
+
+test('load reads a version 2 cache (entries and deps, no header)', () => {
+    let cache = cacheWith(JSON.stringify({entries: [['/a.md', {size: 1}]], deps: [['/a.md', ['/b.md']]]})).load();
+    assert.deepStrictEqual(cache.get('/a.md'), {size: 1});
+    assert.deepStrictEqual(Array.from(cache.getDependencies('/a.md')), ['/b.md']);
+});
+
+test('load reads a version 3 cache (header and checksum)', () => {
+    let cache = cacheWith(withHeader({entries: [['/a.md', {size: 1}]], deps: []}, 3)).load();
+    assert.deepStrictEqual(cache.get('/a.md'), {size: 1});
+    assert.ok(cache.hasGroup('default'));
+});
+
+test('save and load round trip the current version with groups', () => {
+    let cache = cacheWith(null);
+    cache.set('/a.md', {size: 1});
+    cache.group('templates').set('/t.njk', {size: 2});
+    cache.addDependency('/a.md', '/t.njk');
+    cache.save();
+
+    let [header] = cache.fs.readFileSync(cachePath, 'utf8').split("\n");
+    assert.strictEqual(JSON.parse(header).version, FileCache.formatVersion);
+
+    let loaded = new FileCache(cachePath, '/site', 'stats', 'sha256', {fs: cache.fs}).load();
+    assert.deepStrictEqual(loaded.get('/a.md'), {size: 1});
+    assert.deepStrictEqual(loaded.group('templates').get('/t.njk'), {size: 2});
+    assert.deepStrictEqual(Array.from(loaded.getDependants('/t.njk')), ['/a.md']);
+});
+
+test('load starts empty when the cache is truncated, corrupt or too new', () => {
+    let good = withHeader({groups: [['default', {entries: [['/a.md', {value: 1}]]}]], deps: []});
+    for (let content of [good.slice(0, -5), '{not json', withHeader({groups: [], deps: []}, FileCache.formatVersion + 1)]) {
+        let cache = cacheWith(content).load();
+        assert.strictEqual(cache.has('/a.md'), false);
+        assert.strictEqual(cache.data.size, 0);
+    }
+});
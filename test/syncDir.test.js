@@ -0,0 +1,93 @@
+/**
+ * Please refer to the following files in the root directory:
+ * 
+ * README.md        For information about the package.
+ * LICENSE          For license details, copyrights and restrictions.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FsUtils = require('../src/fsUtils');
+
+let made = [];
+
+function tmpDir()
+{
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gf-sync-'));
+    made.push(dir);
+    return dir;
+}
+
+function tree(files)
+{
+    let dir = tmpDir();
+    for (let [name, content] of Object.entries(files)) {
+        let p = path.join(dir, name);
+        fs.mkdirSync(path.dirname(p), {recursive: true});
+        fs.writeFileSync(p, content);
+    }
+    return dir;
+}
+
+test.after(() => {
+    for (let dir of made) {
+        fs.rmSync(dir, {recursive: true, force: true});
+    }
+});
+
+test('syncDir copies new and changed files and skips unchanged ones', () => {
+    let src = tree({'a.txt': 'a', 'sub/b.txt': 'b'});
+    let dst = tmpDir();
+
+    let first = FsUtils.syncDir(src, dst);
+    assert.deepStrictEqual(first.copied.sort(), ['a.txt', path.join('sub', 'b.txt')]);
+    assert.strictEqual(fs.readFileSync(path.join(dst, 'sub', 'b.txt'), 'utf8'), 'b');
+
+    let second = FsUtils.syncDir(src, dst);
+    assert.deepStrictEqual(second.copied, []);
+    assert.strictEqual(second.skipped.length, 2);
+
+    fs.writeFileSync(path.join(src, 'a.txt'), 'changed');
+    let third = FsUtils.syncDir(src, dst, {compare: 'hash'});
+    assert.deepStrictEqual(third.copied, ['a.txt']);
+    assert.strictEqual(fs.readFileSync(path.join(dst, 'a.txt'), 'utf8'), 'changed');
+});
+
+test('syncDir deletes orphans, but only with deleteOrphans and not in a dry run', () => {
+    let src = tree({'keep.txt': 'k'});
+    let dst = tree({'keep.txt': 'k', 'old/gone.txt': 'g'});
+
+    FsUtils.syncDir(src, dst);
+    assert.ok(fs.existsSync(path.join(dst, 'old', 'gone.txt')));
+
+    let dry = FsUtils.syncDir(src, dst, {deleteOrphans: true, dryRun: true});
+    assert.deepStrictEqual(dry.deleted.sort(), ['old', path.join('old', 'gone.txt')]);
+    assert.ok(fs.existsSync(path.join(dst, 'old', 'gone.txt')));
+
+    FsUtils.syncDir(src, dst, {deleteOrphans: true});
+    assert.ok(!fs.existsSync(path.join(dst, 'old')));
+    assert.ok(fs.existsSync(path.join(dst, 'keep.txt')));
+});
+
+test('syncDir keeps the dot file default when other options are given', () => {
+    let src = tree({'a.txt': 'a'});
+    let dst = tree({'a.txt': 'a', '.git/HEAD': 'ref'});
+
+    FsUtils.syncDir(src, dst, {deleteOrphans: true});
+    assert.ok(fs.existsSync(path.join(dst, '.git', 'HEAD')));
+});
+
+test('syncDir removes orphan links in the target without following them', () => {
+    let root = tree({'outside/precious': 'p', 'src/a.txt': 'a', 'dst/a.txt': 'a'});
+    fs.symlinkSync(path.join(root, 'outside'), path.join(root, 'dst', 'link'));
+
+    let report = FsUtils.syncDir(path.join(root, 'src'), path.join(root, 'dst'), {deleteOrphans: true});
+
+    assert.deepStrictEqual(report.deleted, ['link']);
+    assert.ok(fs.existsSync(path.join(root, 'outside', 'precious')));
+    assert.throws(() => fs.lstatSync(path.join(root, 'dst', 'link')), {code: 'ENOENT'});
+});